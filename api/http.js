@@ -0,0 +1,35 @@
+// ------------------------------------------------------------------
+// Every error response has the same shape:
+//
+//   { "error": { "code": "invalid_parameter", "message": "...", "details": {...} } }
+//
+// code is stable for clients to branch on, message is for humans and
+// details (optional) names the offending parameter and its allowed values.
+// ------------------------------------------------------------------
+function apiError(status, code, message, details = null) {
+  return Object.assign(new Error(message), { status, code, ...(details ? { details } : {}) });
+}
+
+function sendJson(res, status, body, headers = {}) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json),
+    ...headers,
+  });
+  res.end(json);
+}
+
+// Errors we raised on purpose keep their status; anything else is a bug or
+// an outage, logged here and reported without internals
+function sendError(res, err, headers = {}) {
+  if (!err.status) {
+    console.error('❌ Request failed:', err);
+    err = apiError(500, 'internal_error', 'Something went wrong, try again later');
+  }
+  const { status, code, message, details } = err;
+  sendJson(res, status, { error: { code, message, ...(details ? { details } : {}) } }, headers);
+  return status;
+}
+
+export { apiError, sendJson, sendError };
@@ -0,0 +1,2 @@
+export { createApiServer } from './server.js';
+export { apiError, sendJson, sendError } from './http.js';
@@ -0,0 +1,172 @@
+import { COLLECTIONS } from '../ingestion/collections.js';
+import { getFacetNames } from '../ingestion/templates.js';
+import { MAX_SCORE } from '../recommendations/filters.js';
+import { validateFacetWeights } from '../recommendations/recommendById.js';
+import { GROUP_STRATEGIES, PLANNED_MODES } from '../recommendations/recommendForUser.js';
+import { apiError } from './http.js';
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+// Deepest page we serve; every page is computed from the top
+const MAX_WINDOW = 200;
+// Query parameters read by parseFilter
+const FILTER_PARAMS = ['types', 'genres', 'platforms', 'networks', 'min_year', 'max_year', 'min_score'];
+
+function invalid(name, message, details = {}) {
+  return apiError(400, 'invalid_parameter', message, { parameter: name, ...details });
+}
+
+// Reject parameters a route doesn't know, so typos don't pass silently
+function checkKnownParams(query, allowed) {
+  for (const name of query.keys()) {
+    if (!allowed.includes(name)) {
+      throw invalid(name, `Unknown parameter "${name}"`, { allowed });
+    }
+  }
+}
+
+function integerParam(query, name, { min, max, fallback }) {
+  const raw = query.get(name);
+  if (raw === null) return fallback;
+  const value = Number(raw);
+  if (raw.trim() === '' || !Number.isInteger(value) || value < min || value > max) {
+    throw invalid(name, `${name} must be an integer from ${min} to ${max}, got "${raw}"`);
+  }
+  return value;
+}
+
+// ?limit=&offset=, both within MAX_WINDOW together
+function parsePagination(query) {
+  const limit = integerParam(query, 'limit', { min: 1, max: MAX_LIMIT, fallback: DEFAULT_LIMIT });
+  const offset = integerParam(query, 'offset', { min: 0, max: MAX_WINDOW - 1, fallback: 0 });
+  if (offset + limit > MAX_WINDOW) {
+    throw invalid('offset', `offset + limit can be at most ${MAX_WINDOW}`);
+  }
+  return { limit, offset };
+}
+
+// A content type ("anime") or its collection ("animes")
+function parseType(value, name = 'type') {
+  const entry = COLLECTIONS.find(([coll, type]) => coll === value || type === value);
+  if (!entry) {
+    throw invalid(name, `Unknown content type "${value}"`, { allowed: COLLECTIONS.map(([, type]) => type) });
+  }
+  return entry[1];
+}
+
+// ?types=movie,animes -> ['movie', 'anime'], or null for every type
+function parseTypes(query, name = 'types') {
+  const raw = query.get(name);
+  if (raw === null) return null;
+  const values = raw.split(',').map(value => value.trim()).filter(Boolean);
+  if (values.length === 0) throw invalid(name, `${name} must list at least one content type`);
+  return [...new Set(values.map(value => parseType(value, name)))];
+}
+
+// ?genres=Action,Drama -> ['Action', 'Drama'], or null
+function parseList(query, name) {
+  const raw = query.get(name);
+  if (raw === null) return null;
+  const values = raw.split(',').map(value => value.trim()).filter(Boolean);
+  if (values.length === 0) throw invalid(name, `${name} must list at least one value`);
+  return [...new Set(values)];
+}
+
+// ?min_score=7.5 -> 7.5, or undefined
+function numberParam(query, name, { integer = false } = {}) {
+  const raw = query.get(name);
+  if (raw === null) return undefined;
+  const value = Number(raw);
+  if (raw.trim() === '' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+    throw invalid(name, `${name} must be ${integer ? 'a whole year' : 'a number'}, got "${raw}"`);
+  }
+  return value;
+}
+
+// types, genres, platforms, networks, min_year, max_year and min_score
+// as a recommendation filter (see recommendations/filters.js), or null
+function parseFilter(query) {
+  const filter = {
+    types: parseTypes(query),
+    genres: parseList(query, 'genres'),
+    platforms: parseList(query, 'platforms'),
+    networks: parseList(query, 'networks'),
+    minYear: numberParam(query, 'min_year', { integer: true }),
+    maxYear: numberParam(query, 'max_year', { integer: true }),
+    minScore: numberParam(query, 'min_score'),
+  };
+  if (filter.minYear !== undefined && filter.maxYear !== undefined && filter.minYear > filter.maxYear) {
+    throw invalid('min_year', 'min_year must not be after max_year');
+  }
+  if (filter.minScore !== undefined && (filter.minScore < 0 || filter.minScore > MAX_SCORE)) {
+    throw invalid('min_score', `min_score must be between 0 and ${MAX_SCORE}`);
+  }
+  const set = Object.entries(filter).filter(([, value]) => value !== null && value !== undefined);
+  return set.length > 0 ? Object.fromEntries(set) : null;
+}
+
+// ?strategy=least_misery -> 'leastMisery', 'average' when missing
+function parseStrategy(query) {
+  const raw = query.get('strategy');
+  if (raw === null) return 'average';
+  const strategy = raw.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+  if (!GROUP_STRATEGIES[strategy] || raw !== raw.toLowerCase()) {
+    const allowed = Object.keys(GROUP_STRATEGIES).map(name => name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`));
+    throw invalid('strategy', `Unknown strategy "${raw}"`, { allowed });
+  }
+  return strategy;
+}
+
+// ?planned=exclude|separate, 'exclude' when missing; groups only take exclude
+function parsePlanned(query, { group = false } = {}) {
+  const allowed = group ? PLANNED_MODES.filter(mode => mode !== 'separate') : PLANNED_MODES;
+  const raw = query.get('planned');
+  if (raw === null) return 'exclude';
+  if (group && raw === 'separate') throw invalid('planned', 'planned=separate is only available for single users', { allowed });
+  if (!allowed.includes(raw)) throw invalid('planned', `Unknown planned mode "${raw}"`, { allowed });
+  return raw;
+}
+
+// ?name=true|false, false when missing
+function parseBoolean(query, name) {
+  const raw = query.get(name);
+  if (raw === null) return false;
+  if (raw !== 'true' && raw !== 'false') throw invalid(name, `${name} must be true or false, got "${raw}"`);
+  return raw === 'true';
+}
+
+// ?facets=story:0.7,tags:0.3 -> { story: 0.7, tags: 0.3 }, or null
+function parseFacets(query) {
+  const raw = query.get('facets');
+  if (raw === null) return null;
+  const weights = {};
+  for (const pair of raw.split(',')) {
+    const [facet, weight, extra] = pair.split(':').map(part => part.trim());
+    if (!facet || extra !== undefined || (weight !== undefined && (weight === '' || Number.isNaN(Number(weight))))) {
+      throw invalid('facets', `facets must look like "story:0.7,tags:0.3", got "${raw}"`);
+    }
+    weights[facet] = weight === undefined ? 1 : Number(weight);
+  }
+  try {
+    validateFacetWeights(weights);
+  } catch (err) {
+    throw invalid('facets', err.message, { allowed: getFacetNames() });
+  }
+  return weights;
+}
+
+export {
+  MAX_LIMIT,
+  MAX_WINDOW,
+  FILTER_PARAMS,
+  checkKnownParams,
+  parsePagination,
+  parseType,
+  parseTypes,
+  parseFilter,
+  parseList,
+  parseStrategy,
+  parsePlanned,
+  parseBoolean,
+  parseFacets,
+};
@@ -0,0 +1,195 @@
+import { ObjectId } from 'mongodb';
+import { CONTENT_TYPES, getCollectionName } from '../config/contentTypes.js';
+import { findSimilar, recommendForUser, userExists } from '../recommendations/index.js';
+import { getVectorStore } from '../recommendations/recommendById.js';
+import { mongoClient } from '../recommendations/mongo.js';
+import { apiError } from './http.js';
+import {
+  FILTER_PARAMS, checkKnownParams, parsePagination, parseType, parseTypes, parseFilter, parseList, parseStrategy,
+  parsePlanned, parseBoolean, parseFacets,
+} from './params.js';
+
+// How long each health check may take before it counts as failed
+const HEALTH_TIMEOUT_MS = 3000;
+
+async function getDb() {
+  if (!mongoClient.topology || !mongoClient.topology.isConnected()) {
+    await mongoClient.connect();
+  }
+  return mongoClient.db();
+}
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// IDs may be stored as ObjectIds or plain strings, match both
+async function itemExists(type, id) {
+  const ids = ObjectId.isValid(id) && id.length === 24 ? [id, new ObjectId(id)] : [id];
+  const db = await getDb();
+  return Boolean(await db.collection(getCollectionName(type)).findOne({ _id: { $in: ids } }, { projection: { _id: 1 } }));
+}
+
+// Recommendations as the API returns them
+function formatItem(rec) {
+  return {
+    id: rec.id,
+    type: rec.type,
+    score: rec.score,
+    ...(rec.facetScores ? { facet_scores: rec.facetScores } : {}),
+    ...(rec.rawScore !== undefined ? { raw_score: rec.rawScore } : {}),
+    ...(rec.memberScores ? { member_scores: rec.memberScores, fits: rec.fits } : {}),
+    data: rec.data,
+  };
+}
+
+// One page of a ranked list fetched one past the page end
+function page(list, { offset, limit }) {
+  return { items: list.slice(offset, offset + limit).map(formatItem), has_more: list.length > offset + limit };
+}
+
+// ------------------------------------------------------------------
+// GET /health
+// Checks MongoDB and the live vector index; 503 when either fails or
+// the server is shutting down, so load balancers stop sending traffic.
+// ------------------------------------------------------------------
+async function health({ draining }) {
+  const check = async (name, fn) => {
+    const started = Date.now();
+    try {
+      const info = await withTimeout(fn(), HEALTH_TIMEOUT_MS, name);
+      return [name, { ok: true, ms: Date.now() - started, ...info }];
+    } catch (err) {
+      return [name, { ok: false, ms: Date.now() - started, error: err.message }];
+    }
+  };
+
+  const checks = Object.fromEntries(await Promise.all([
+    check('mongo', async () => {
+      await (await getDb()).command({ ping: 1 });
+    }),
+    check('vector_store', async () => {
+      const vectorStore = await getVectorStore();
+      await vectorStore.listPaginated({ limit: 1 });
+      return { backend: vectorStore.name, index: vectorStore.indexName };
+    }),
+  ]));
+
+  const healthy = Object.values(checks).every(({ ok }) => ok);
+  const status = draining ? 'shutting_down' : healthy ? 'ok' : 'degraded';
+  return { status: status === 'ok' ? 200 : 503, body: { status, checks } };
+}
+
+// ------------------------------------------------------------------
+// GET /items/:type/:id/similar?limit&offset&facets&cross_media&<filters>
+// Items similar to one item, most similar first. The filters (types,
+// genres, platforms, networks, min_year, max_year, min_score) narrow
+// the results, facets ranks by facet vectors and cross_media by
+// calibrated score across types (see README).
+// ------------------------------------------------------------------
+async function similarItems({ params, query }) {
+  checkKnownParams(query, ['limit', 'offset', 'facets', 'cross_media', ...FILTER_PARAMS]);
+  const type = parseType(params.type);
+  const pagination = parsePagination(query);
+  const filter = parseFilter(query);
+  const facets = parseFacets(query);
+  const crossMedia = parseBoolean(query, 'cross_media');
+  if (facets && crossMedia) {
+    throw apiError(400, 'invalid_parameter', 'facets and cross_media cannot be combined', { parameter: 'cross_media' });
+  }
+
+  if (!await itemExists(type, params.id)) {
+    throw apiError(404, 'item_not_found', `No ${type} with id ${params.id}`);
+  }
+
+  const similar = await findSimilar(params.id, pagination.offset + pagination.limit + 1, { facets, filter, crossMedia });
+  return {
+    status: 200,
+    body: { item: { id: params.id, type }, ...pagination, ...page(similar, pagination) },
+  };
+}
+
+// ------------------------------------------------------------------
+// GET /users/:userId/recommendations?limit&offset&types&cross_media&sources&planned
+// Recommendations per content type from the user's lists; limit and
+// offset apply to each type's list. With cross_media every type draws
+// on all of the user's lists, or those named in sources. planned=separate
+// adds the user's planned items to each type, best fit first.
+// ------------------------------------------------------------------
+async function userRecommendations({ params, query }) {
+  checkKnownParams(query, ['limit', 'offset', 'types', 'cross_media', 'sources', 'planned']);
+  const pagination = parsePagination(query);
+  const planned = parsePlanned(query);
+  const types = parseTypes(query);
+  const crossMedia = parseBoolean(query, 'cross_media');
+  const sources = parseTypes(query, 'sources');
+  if (sources && !crossMedia) {
+    throw apiError(400, 'invalid_parameter', 'sources is only valid with cross_media=true', { parameter: 'sources' });
+  }
+
+  if (!await userExists(params.userId)) {
+    throw apiError(404, 'user_not_found', `No user with id ${params.userId}`);
+  }
+
+  // An empty array means the user had nothing to base recommendations on
+  const recs = await recommendForUser([params.userId], pagination.offset + pagination.limit + 1, { types, crossMedia, sources, planned });
+  const results = Object.fromEntries(CONTENT_TYPES
+    .filter(({ type }) => !types || types.includes(type))
+    .map(({ type, key }) => [type, {
+      ...page(Array.isArray(recs) ? [] : recs[key] || [], pagination),
+      ...(planned === 'separate' ? { planned: (recs.planned?.[key] || []).map(formatItem) } : {}),
+    }]));
+  return { status: 200, body: { user_id: params.userId, ...pagination, results } };
+}
+
+// Largest group /groups/recommendations accepts
+const MAX_GROUP_SIZE = 10;
+
+// ------------------------------------------------------------------
+// GET /groups/recommendations?users&strategy&limit&offset&types&cross_media&sources&planned
+// Recommendations for several users together ("watch party"): nothing
+// any member has logged or planned, ranked by strategy (average, least_misery or
+// most_pleasure). Every result says which members it fits.
+// ------------------------------------------------------------------
+async function groupRecommendations({ query }) {
+  checkKnownParams(query, ['users', 'strategy', 'limit', 'offset', 'types', 'cross_media', 'sources', 'planned']);
+  const users = parseList(query, 'users');
+  if (!users || users.length < 2 || users.length > MAX_GROUP_SIZE) {
+    throw apiError(400, 'invalid_parameter', `users must list 2 to ${MAX_GROUP_SIZE} user IDs`, { parameter: 'users' });
+  }
+  const strategy = parseStrategy(query);
+  const planned = parsePlanned(query, { group: true });
+  const pagination = parsePagination(query);
+  const types = parseTypes(query);
+  const crossMedia = parseBoolean(query, 'cross_media');
+  const sources = parseTypes(query, 'sources');
+  if (sources && !crossMedia) {
+    throw apiError(400, 'invalid_parameter', 'sources is only valid with cross_media=true', { parameter: 'sources' });
+  }
+
+  const known = await Promise.all(users.map(userExists));
+  const missing = users.filter((_, i) => !known[i]);
+  if (missing.length > 0) {
+    throw apiError(404, 'user_not_found', `No user with id ${missing.join(', ')}`, { users: missing });
+  }
+
+  const recs = await recommendForUser(users, pagination.offset + pagination.limit + 1, { types, crossMedia, sources, strategy, planned });
+  const results = Object.fromEntries(CONTENT_TYPES
+    .filter(({ type }) => !types || types.includes(type))
+    .map(({ type, key }) => [type, page(Array.isArray(recs) ? [] : recs[key] || [], pagination)]));
+  return { status: 200, body: { users, strategy: query.get('strategy') || 'average', ...pagination, results } };
+}
+
+// Path patterns with their parameter names, matched in order
+const ROUTES = [
+  { method: 'GET', path: /^\/health$/, params: [], handler: health },
+  { method: 'GET', path: /^\/items\/([^/]+)\/([^/]+)\/similar$/, params: ['type', 'id'], handler: similarItems },
+  { method: 'GET', path: /^\/users\/([^/]+)\/recommendations$/, params: ['userId'], handler: userRecommendations },
+  { method: 'GET', path: /^\/groups\/recommendations$/, params: [], handler: groupRecommendations },
+];
+
+export { ROUTES };
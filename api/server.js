@@ -0,0 +1,80 @@
+import http from 'http';
+import { ROUTES } from './routes.js';
+import { apiError, sendJson, sendError } from './http.js';
+
+// ------------------------------------------------------------------
+// HTTP server for the recommendation endpoints in routes.js. close()
+// stops taking connections, lets requests in flight finish (up to
+// timeoutMs) and answers anything arriving meanwhile with a 503.
+// ------------------------------------------------------------------
+function createApiServer() {
+  let draining = false;
+
+  const server = http.createServer(async (req, res) => {
+    const started = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+    let status;
+
+    try {
+      if (draining && url.pathname !== '/health') {
+        throw apiError(503, 'shutting_down', 'The server is shutting down, try again');
+      }
+
+      const matches = ROUTES.map(route => ({ route, match: route.path.exec(url.pathname) })).filter(({ match }) => match);
+      if (matches.length === 0) throw apiError(404, 'not_found', `No endpoint at ${url.pathname}`);
+
+      const found = matches.find(({ route }) => route.method === req.method);
+      if (!found) {
+        const allowed = [...new Set(matches.map(({ route }) => route.method))];
+        status = sendError(res, apiError(405, 'method_not_allowed', `${req.method} is not supported here`, { allowed }),
+          { Allow: allowed.join(', ') });
+        return;
+      }
+
+      const params = {};
+      found.route.params.forEach((name, i) => {
+        try {
+          params[name] = decodeURIComponent(found.match[i + 1]);
+        } catch {
+          throw apiError(400, 'invalid_parameter', `${name} is not valid URL encoding`, { parameter: name });
+        }
+      });
+
+      const result = await found.route.handler({ params, query: url.searchParams, draining });
+      status = result.status;
+      sendJson(res, result.status, result.body, draining ? { Connection: 'close' } : {});
+    } catch (err) {
+      status = sendError(res, err, draining ? { Connection: 'close' } : {});
+    } finally {
+      console.log(`🌐 ${req.method} ${url.pathname}${url.search} ${status} ${Date.now() - started}ms`);
+    }
+  });
+
+  return {
+    server,
+
+    listen(port, host) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          resolve(server.address());
+        });
+      });
+    },
+
+    async close({ timeoutMs = 10000 } = {}) {
+      draining = true;
+      const closed = new Promise(resolve => server.close(resolve));
+      server.closeIdleConnections();
+      const timer = setTimeout(() => {
+        console.warn(`⏱ Requests still running after ${timeoutMs / 1000}s, closing their connections`);
+        server.closeAllConnections();
+      }, timeoutMs);
+      await closed;
+      clearTimeout(timer);
+    },
+  };
+}
+
+export { createApiServer };
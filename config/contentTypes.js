@@ -0,0 +1,173 @@
+// ------------------------------------------------------------------
+// Content-type registry. Every media type declares:
+//
+//   type        tag stored as metadata.type on its vectors
+//   key         property name in recommendForUser results
+//   label       human readable name for logs and demos
+//   collection  MongoDB collection holding the items (also the
+//               embedding template name, see config/embeddingTemplates.json)
+//   userList    collection with users' entries, the field the lookup
+//               is stored under, the item ID fields (first match wins),
+//               the user's score field with its scale, the status field
+//               (completed, dropped, planned...; see
+//               recommendations/listEntries.js) and the date fields
+//               telling when the entry was last touched (first usable
+//               wins, then the entry's ObjectId)
+//   metadata    filterable vector metadata: list fields by path, release
+//               year paths (first usable wins) and the score source,
+//               scaled to 0-10 so score filters mean the same for every type
+//   similarity  weighted metadata fields used to rank sequels; paths use
+//               the template syntax ("genres[].name"), top keeps the first n
+//   watch       kept current from change streams by --watch (default: false)
+//
+// Adding a media type means adding an entry here and a template.
+// ------------------------------------------------------------------
+const CONTENT_TYPES = [
+  {
+    type: 'movie',
+    key: 'movies',
+    label: 'Movie',
+    collection: 'movies',
+    watch: true,
+    userList: {
+      collection: 'movie-watch-lists', as: 'movie_watch_lists',
+      idFields: ['movie_id'],
+      score: 'score', scoreScale: 10, status: 'status', dates: ['updated_at', 'created_at'],
+    },
+    metadata: {
+      lists: { genres: 'genres' },
+      year: ['release_date'],
+      score: { average: 'tmdb_vote', votes: 'tmdb_vote_count' },
+    },
+    similarity: [
+      { path: 'genres', weight: 0.20 },
+      { path: 'production_companies[].name', weight: 0.10 },
+      { path: 'actors[].name', top: 3, weight: 0.20 },
+    ],
+  },
+  {
+    type: 'tvseries',
+    key: 'tvSeries',
+    label: 'TV Series',
+    collection: 'tv-series',
+    watch: true,
+    userList: {
+      collection: 'tvseries-watch-lists', as: 'tvseries_watch_lists',
+      idFields: ['tvseries_id', 'tv_id'],
+      score: 'score', scoreScale: 10, status: 'status', dates: ['updated_at', 'created_at'],
+    },
+    metadata: {
+      lists: { genres: 'genres', networks: 'networks[].name' },
+      year: ['first_air_date', 'release_date'],
+      score: { average: 'tmdb_vote', votes: 'tmdb_vote_count' },
+    },
+    similarity: [
+      { path: 'genres', weight: 0.20 },
+      { path: 'networks[].name', weight: 0.15 },
+      { path: 'production_companies[].name', weight: 0.05 },
+      { path: 'actors[].name', top: 5, weight: 0.10 },
+    ],
+  },
+  {
+    type: 'anime',
+    key: 'animes',
+    label: 'Anime',
+    collection: 'animes',
+    watch: true,
+    userList: {
+      collection: 'anime-lists', as: 'anime_lists',
+      idFields: ['anime_id'],
+      score: 'score', scoreScale: 10, status: 'status', dates: ['updated_at', 'created_at'],
+    },
+    metadata: {
+      lists: { genres: 'genres[].name', studios: 'studios[].name', demographics: 'demographics[].name' },
+      year: ['aired.from', 'year'],
+      score: { average: 'mal_score', votes: 'mal_scored_by' },
+    },
+    similarity: [
+      { path: 'genres[].name', weight: 0.15 },
+      { path: 'demographics[].name', weight: 0.15 },
+      { path: 'themes[].name', weight: 0.10 },
+      { path: 'studios[].name', weight: 0.10 },
+    ],
+  },
+  {
+    type: 'game',
+    key: 'games',
+    label: 'Game',
+    collection: 'games',
+    watch: true,
+    userList: {
+      collection: 'game-lists', as: 'game_lists',
+      idFields: ['game_id'],
+      score: 'score', scoreScale: 10, status: 'status', dates: ['updated_at', 'created_at'],
+    },
+    metadata: {
+      lists: { genres: 'genres', platforms: 'platforms' },
+      year: ['release_date'],
+      score: { field: 'metacritic_score', scale: 0.1 },
+    },
+    similarity: [
+      { path: 'genres', weight: 0.20 },
+      { path: 'platforms', weight: 0.15 },
+      { path: 'developers', weight: 0.10 },
+      { path: 'publishers', weight: 0.05 },
+    ],
+  },
+  {
+    type: 'manga',
+    key: 'mangas',
+    label: 'Manga',
+    collection: 'mangas',
+    userList: {
+      collection: 'manga-lists', as: 'manga_lists',
+      idFields: ['manga_id'],
+      score: 'score', scoreScale: 10, status: 'status', dates: ['updated_at', 'created_at'],
+    },
+    metadata: {
+      lists: { genres: 'genres[].name', demographics: 'demographics[].name', authors: 'authors[].name' },
+      year: ['published.from', 'year'],
+      score: { average: 'mal_score', votes: 'mal_scored_by' },
+    },
+    similarity: [
+      { path: 'genres[].name', weight: 0.15 },
+      { path: 'demographics[].name', weight: 0.10 },
+      { path: 'themes[].name', weight: 0.10 },
+      { path: 'authors[].name', weight: 0.15 },
+    ],
+  },
+  {
+    type: 'book',
+    key: 'books',
+    label: 'Book',
+    collection: 'books',
+    userList: {
+      collection: 'book-lists', as: 'book_lists',
+      idFields: ['book_id'],
+      score: 'score', scoreScale: 10, status: 'status', dates: ['updated_at', 'created_at'],
+    },
+    metadata: {
+      lists: { genres: 'genres', authors: 'authors' },
+      year: ['published_date'],
+      score: { average: 'average_rating', votes: 'ratings_count', scale: 2 },
+    },
+    similarity: [
+      { path: 'genres', weight: 0.20 },
+      { path: 'authors', weight: 0.25 },
+      { path: 'publisher', weight: 0.05 },
+    ],
+  },
+];
+
+function getContentType(type) {
+  const entry = CONTENT_TYPES.find(entry => entry.type === type);
+  if (!entry) throw new Error(`Unknown content type: ${type}`);
+  return entry;
+}
+
+// Map content type to MongoDB collection name
+function getCollectionName(type) {
+  return getContentType(type).collection;
+}
+
+export { CONTENT_TYPES, getContentType, getCollectionName };
@@ -0,0 +1,70 @@
+const CACHE_COLLECTION = 'embedding-cache';
+
+// ------------------------------------------------------------------
+// Embedding cache stored in MongoDB. Keys are the content hashes from
+// ingestion, which already cover both the model name and the text.
+// ------------------------------------------------------------------
+function createEmbeddingCache(db) {
+  const collection = db.collection(CACHE_COLLECTION);
+  const counters = { hits: 0, misses: 0 };
+
+  return {
+    counters,
+
+    // Resolves to a Map of key -> vector for the keys we have
+    async getMany(keys) {
+      const found = new Map();
+      if (keys.length === 0) return found;
+
+      const entries = await collection
+        .find({ _id: { $in: keys } }, { projection: { vector: 1 } })
+        .toArray();
+      for (const entry of entries) found.set(entry._id, entry.vector);
+
+      counters.hits += found.size;
+      counters.misses += new Set(keys).size - found.size;
+
+      if (found.size > 0) {
+        await collection.updateMany({ _id: { $in: [...found.keys()] } }, { $set: { last_used_at: new Date() } });
+      }
+      return found;
+    },
+
+    async putMany(entries) {
+      if (entries.length === 0) return;
+
+      const now = new Date();
+      await collection.bulkWrite(entries.map(({ key, model, vector }) => ({
+        updateOne: {
+          filter: { _id: key },
+          update: { $set: { model, vector, dimension: vector.length, created_at: now, last_used_at: now } },
+          upsert: true
+        }
+      })), { ordered: false });
+    },
+  };
+}
+
+// Entry counts per model, for the --cache-stats command
+async function getCacheStats(db) {
+  return await db.collection(CACHE_COLLECTION).aggregate([
+    {
+      $group: {
+        _id: '$model',
+        entries: { $sum: 1 },
+        dimension: { $first: '$dimension' },
+        oldest: { $min: '$created_at' },
+        last_used: { $max: '$last_used_at' }
+      }
+    },
+    { $sort: { entries: -1 } }
+  ]).toArray();
+}
+
+// Delete every entry whose model is not in keepModels
+async function pruneCache(db, keepModels) {
+  const { deletedCount } = await db.collection(CACHE_COLLECTION).deleteMany({ model: { $nin: keepModels } });
+  return deletedCount;
+}
+
+export { CACHE_COLLECTION, createEmbeddingCache, getCacheStats, pruneCache };
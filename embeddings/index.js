@@ -0,0 +1,81 @@
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createLocalProvider } from './localProvider.js';
+import { createEmbeddingCache, getCacheStats, pruneCache } from './cache.js';
+
+// ------------------------------------------------------------------
+// Every embedding provider returns an object with:
+//
+//   name            provider name (openai | http | local)
+//   model           model key, stored with content hashes and cached vectors
+//                   (includes the dimension when it isn't the model's own)
+//   dimension       vector length, used when creating the index
+//   maxInputTokens  longest single input the model accepts
+//   maxBatchSize    most inputs per embed() call
+//   maxBatchTokens  most tokens per embed() call
+//   pricePerMillionTokens  USD per million input tokens, for cost estimates
+//   requestsPerMinute, tokensPerMinute  quotas the ingestion rate limiter keeps to
+//   embed(texts)    resolves to one vector per text, in input order
+// ------------------------------------------------------------------
+
+function optionalNumber(value) {
+  return value ? Number(value) : undefined;
+}
+
+// Pick the provider from EMBEDDING_PROVIDER (default: openai)
+function createEmbeddingProvider(env = process.env) {
+  const limits = {
+    dimension: optionalNumber(env.EMBEDDING_DIMENSION),
+    maxInputTokens: optionalNumber(env.EMBEDDING_MAX_INPUT_TOKENS),
+    maxBatchSize: optionalNumber(env.EMBEDDING_MAX_BATCH_SIZE),
+    maxBatchTokens: optionalNumber(env.EMBEDDING_MAX_BATCH_TOKENS),
+    requestsPerMinute: optionalNumber(env.EMBEDDING_REQUESTS_PER_MINUTE),
+    tokensPerMinute: optionalNumber(env.EMBEDDING_TOKENS_PER_MINUTE),
+  };
+  const pricing = { pricePerMillionTokens: optionalNumber(env.EMBEDDING_PRICE_PER_1M_TOKENS) };
+  if (pricing.pricePerMillionTokens === undefined) delete pricing.pricePerMillionTokens;
+  // Drop unset limits so provider defaults apply
+  for (const key of Object.keys(limits)) {
+    if (limits[key] === undefined) delete limits[key];
+  }
+
+  const provider = env.EMBEDDING_PROVIDER || 'openai';
+  switch (provider) {
+    case 'openai':
+      return createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        model: env.EMBEDDING_MODEL || 'text-embedding-3-small',
+        ...limits,
+        ...pricing,
+      });
+
+    case 'http':
+      if (!env.EMBEDDING_BASE_URL) throw new Error('EMBEDDING_BASE_URL is required for the http embedding provider');
+      if (!env.EMBEDDING_MODEL) throw new Error('EMBEDDING_MODEL is required for the http embedding provider');
+      return createOpenAIProvider({
+        name: 'http',
+        apiKey: env.EMBEDDING_API_KEY || 'unused',
+        baseURL: env.EMBEDDING_BASE_URL,
+        model: env.EMBEDDING_MODEL,
+        // Self-hosted servers have no quota unless one is configured
+        requestsPerMinute: Infinity,
+        tokensPerMinute: Infinity,
+        ...limits,
+        ...pricing,
+      });
+
+    case 'local':
+      return createLocalProvider(limits);
+
+    default:
+      throw new Error(`Unknown embedding provider: ${provider}`);
+  }
+}
+
+export {
+  createEmbeddingProvider,
+  createOpenAIProvider,
+  createLocalProvider,
+  createEmbeddingCache,
+  getCacheStats,
+  pruneCache,
+};
@@ -0,0 +1,59 @@
+// Deterministic offline embedder for development and tests. Words and word
+// pairs are hashed into a fixed number of buckets, so texts that share words
+// end up close together without any network call.
+function createLocalProvider({
+  dimension = 256,
+  maxInputTokens = 8191,
+  maxBatchSize = 1000,
+  maxBatchTokens = Infinity,
+  requestsPerMinute = Infinity,
+  tokensPerMinute = Infinity,
+} = {}) {
+  return {
+    name: 'local',
+    model: `local-hash-${dimension}`,
+    dimension,
+    maxInputTokens,
+    maxBatchSize,
+    maxBatchTokens,
+    pricePerMillionTokens: 0,
+    requestsPerMinute,
+    tokensPerMinute,
+
+    async embed(texts) {
+      return texts.map(text => hashEmbedding(text, dimension));
+    },
+  };
+}
+
+function hashEmbedding(text, dimension) {
+  const vector = new Array(dimension).fill(0);
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+  for (const feature of features) {
+    const hash = fnv1a(feature);
+    // The top bit picks the sign so unrelated features tend to cancel out
+    vector[hash % dimension] += hash & 0x80000000 ? -1 : 1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  // Pinecone rejects all-zero vectors with the cosine metric
+  if (norm === 0) {
+    vector[0] = 1;
+    return vector;
+  }
+  return vector.map(value => value / norm);
+}
+
+// 32-bit FNV-1a, stable across platforms and Node versions
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export { createLocalProvider };
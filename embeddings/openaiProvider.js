@@ -0,0 +1,72 @@
+import OpenAI from 'openai';
+
+// Published limits for OpenAI's embedding models
+const MODEL_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536,
+};
+
+// Models that return shorter vectors when asked for them (the dimensions parameter)
+const SHORTENABLE_MODELS = ['text-embedding-3-small', 'text-embedding-3-large'];
+
+// USD per million input tokens, used for cost estimates in run reports
+const MODEL_PRICES = {
+  'text-embedding-3-small': 0.02,
+  'text-embedding-3-large': 0.13,
+  'text-embedding-ada-002': 0.10,
+};
+
+// OpenAI embeddings API, also used for any server that speaks the same protocol.
+// A dimension below a text-embedding-3 model's own is requested from the API,
+// and becomes part of the model key so hashes and cached vectors of another
+// size are never reused.
+function createOpenAIProvider({
+  name = 'openai',
+  apiKey,
+  baseURL,
+  model = 'text-embedding-3-small',
+  dimension = MODEL_DIMENSIONS[model],
+  maxInputTokens = 8191,
+  maxBatchSize = 2048,
+  maxBatchTokens = 300000,
+  pricePerMillionTokens = MODEL_PRICES[model] ?? 0,
+  // OpenAI usage tier 1 quotas for the embedding models
+  requestsPerMinute = 3000,
+  tokensPerMinute = 1000000,
+} = {}) {
+  if (!dimension) {
+    throw new Error(`Unknown dimension for embedding model "${model}", set EMBEDDING_DIMENSION`);
+  }
+  const nativeDimension = MODEL_DIMENSIONS[model];
+  const shortened = nativeDimension !== undefined && dimension !== nativeDimension;
+  if (shortened && (!SHORTENABLE_MODELS.includes(model) || !(Number.isInteger(dimension) && dimension > 0 && dimension < nativeDimension))) {
+    throw new Error(SHORTENABLE_MODELS.includes(model)
+      ? `EMBEDDING_DIMENSION for ${model} must be a whole number between 1 and ${nativeDimension}, got ${dimension}`
+      : `${model} only returns ${nativeDimension}-dimension vectors, EMBEDDING_DIMENSION can't change that`);
+  }
+
+  // Created on first use so dry runs work without an API key
+  let client;
+
+  return {
+    name,
+    model: shortened ? `${model}@${dimension}` : model,
+    dimension,
+    maxInputTokens,
+    maxBatchSize,
+    maxBatchTokens,
+    pricePerMillionTokens,
+    requestsPerMinute,
+    tokensPerMinute,
+
+    async embed(texts) {
+      client ??= new OpenAI({ apiKey, baseURL });
+      const res = await client.embeddings.create({ model, input: texts, ...(shortened ? { dimensions: dimension } : {}) });
+      // Keep results aligned with the input even if the server reorders them
+      return [...res.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+    },
+  };
+}
+
+export { createOpenAIProvider, MODEL_DIMENSIONS, MODEL_PRICES, SHORTENABLE_MODELS };
@@ -1,20 +1,58 @@
 import 'dotenv/config';  // Load .env into process.env
 
 import { MongoClient } from 'mongodb';
-import OpenAI from 'openai';
-import { Pinecone } from '@pinecone-database/pinecone';
-
-const PRIOR_SCORE = 5;
-const CONFIDENCE_VOTES = 1000;
-
-function bayesianAdjusted(sumOfScores, voteCount, C = PRIOR_SCORE, m = CONFIDENCE_VOTES) {
-  return (sumOfScores + m * C) / (voteCount + m);
-}
+import {
+  ingestCollection,
+  listVectorIdsByType,
+  reconcileCollection,
+  deleteVectors,
+  backfillMetadata,
+  replayDeadLetters,
+  countDeadLetters,
+  previewTemplate,
+  useTemplates,
+  resetMetrics,
+  startCollection,
+  finishCollection,
+  countDocuments,
+  getMetrics,
+  runInCollection,
+  createRateLimiter,
+  mapWithConcurrency,
+  isFatalError,
+  startRunReport,
+  finishRunReport,
+  buildReport,
+  listRuns,
+  getRunsToCompare,
+  compareRuns,
+  startMetricsServer,
+  getLiveIndexName,
+  getIndexRecord,
+  getPendingSwitch,
+  listIndexes,
+  scopeMongoToIndex,
+  createIndexVersion,
+  markIndexBuilt,
+  promoteIndex,
+  rollbackIndex,
+  validateIndex,
+  watchCollections,
+  computeCalibration,
+} from './ingestion/index.js';
+import { parseCliArgs, USAGE } from './ingestion/cli.js';
+import { createEmbeddingProvider, createEmbeddingCache, getCacheStats, pruneCache } from './embeddings/index.js';
+import { createVectorStore } from './vectorStore/index.js';
+import { acquireRunLock, getRunLock } from './scheduler/index.js';
+
+// Exit code when another run holds the lock (EX_TEMPFAIL: try again later)
+const EXIT_LOCKED = 75;
+const LOCKED = Symbol('locked');
 
 // ---------------------------
 // 1. Initialize all clients
 // ---------------------------
-async function initClients() {
+async function initClients({ useCache = true } = {}) {
   console.log('🔌 Initializing clients...');
 
   // MongoDB
@@ -22,323 +60,437 @@ async function initClients() {
   await mongo.connect();
   console.log('✅ Connected to MongoDB');
 
-  // OpenAI
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  console.log('✅ OpenAI client ready');
+  // Embedding provider (dry runs still need its model name and input limits)
+  const embedder = createEmbeddingProvider();
+  console.log(`✅ Embedding provider ready: ${embedder.name} (${embedder.model}, ${embedder.dimension} dimensions)`);
 
-  // Pinecone
-  const pinecone = new Pinecone({
-    apiKey: process.env.PINECONE_API_KEY,
-  });
-  console.log('✅ Pinecone client ready');
+  // Vector store (Pinecone or local, see VECTOR_STORE), on the index the "live" alias points to
+  const configuredStore = createVectorStore();
+  const liveIndex = await getLiveIndexName(mongo.db(), configuredStore.indexName);
+  const vectorStore = liveIndex === configuredStore.indexName
+    ? configuredStore
+    : createVectorStore(process.env, { indexName: liveIndex });
+  console.log(`✅ Vector store ready: ${vectorStore.name} (live index: ${liveIndex})`);
+
+  // Embedding cache, shared by every run that embeds text
+  const embeddingCache = useCache ? createEmbeddingCache(mongo.db()) : null;
+
+  // Quotas shared by every batch in flight, across collections
+  const limiters = {
+    embedding: createRateLimiter('embedding', { requests: embedder.requestsPerMinute, tokens: embedder.tokensPerMinute }),
+    vectorWrites: createRateLimiter('vector store writes', { requests: vectorStore.writesPerMinute }),
+  };
 
-  return { mongo, openai, pinecone };
+  return { mongo, embedder, vectorStore, embeddingCache, limiters, liveIndex };
 }
 
-// ----------------------------------------
-// 2. Ensure Pinecone index exists or create
-// ----------------------------------------
-async function ensureIndex(pinecone) {
-  const indexName = process.env.PINECONE_INDEX;
-  console.log(`🗄 Checking Pinecone index: ${indexName}`);
-
-  const indexes = await pinecone.listIndexes();
-  console.log('Indexes:', JSON.stringify(indexes, null, 2));
-
-  const indexExists = indexes.indexes?.some(index => index.name === indexName);
-  if (!indexExists) {
-    console.log(`🚀 Creating Pinecone index: ${indexName}`);
-    await pinecone.createIndex({
-      name: indexName,
-      dimension: 1536,
-      metric: 'cosine',
-      spec: {
-        serverless: {
-          cloud: 'aws',
-          region: process.env.PINECONE_ENVIRONMENT
-        }
-      }
-    });
-    console.log('✅ Pinecone index created');
-  } else {
-    console.log('ℹ️ Pinecone index already exists');
+// Point the clients at another index version, together with that index's
+// hashes, checkpoints and dead letters
+function useIndex(clients, indexName) {
+  if (indexName === clients.liveIndex) return clients;
+  return {
+    ...clients,
+    mongo: scopeMongoToIndex(clients.mongo, indexName),
+    vectorStore: createVectorStore(process.env, { indexName }),
+  };
+}
+
+// ------------------------------------------------------------
+// 2. Reconcile stored vectors with the MongoDB collections
+// ------------------------------------------------------------
+async function reconcile(ctx, collections, apply) {
+  const { mongo, vectorStore } = ctx;
+  console.log(apply ? '🧹 Reconciling index (apply)' : '🧹 Reconciling index (dry run, pass --apply to delete and re-embed)');
+  const idsByType = await listVectorIdsByType(vectorStore);
+  let ok = true;
+
+  for (const [coll, type] of collections) {
+    startCollection(coll);
+    try {
+      const result = await runInCollection(coll, () => reconcileCollection(ctx, coll, type, idsByType.get(type) || new Set(), { apply }));
+      const incomplete = apply && (result.deleted < result.orphans || result.embedded < result.missing);
+      countDocuments(coll, { processed: result.deleted, added: result.embedded, failed: apply ? result.missing - result.embedded : 0 });
+      finishCollection(coll, incomplete ? 'failed' : 'done');
+      if (incomplete) ok = false;
+    } catch (err) {
+      ok = false;
+      finishCollection(coll, 'error');
+      if (isFatalError(err)) throw err;
+      console.error(`❌ Error reconciling ${coll}:`, err);
+    }
   }
 
-  return pinecone.index(indexName);
+  // Vectors whose type matches no collection can never be resolved to a document
+  const knownTypes = new Set(collections.map(([, type]) => type));
+  const strays = [...idsByType].filter(([type]) => !knownTypes.has(type)).flatMap(([, ids]) => [...ids]);
+  if (strays.length > 0) {
+    console.log(`📊 ${strays.length} vectors with an unknown type`);
+    if (apply && await deleteVectors(ctx, strays) < strays.length) ok = false;
+  }
+
+  console.log('🏁 Reconciliation finished');
+  return ok;
 }
 
-// -----------------------------------------
-// 3. Build text for embedding per type
-// -----------------------------------------
-function buildText(doc, type) {
-  let text = '';
-  switch (type) {
-    case 'animes': {
-      const chars = (doc.characters || []).slice(0, 10).map(c => c.name);
-      const demos = (doc.demographics || []).map(d => d.name);
-      const genres = (doc.genres || []).map(g => g.name);
-      const producers = (doc.producers || []).map(p => p.name);
-      const relations = (doc.relations || []).flatMap(r => [r.relation, ...r.source.map(s => s.name)]);
-      const studios = (doc.studios || []).map(s => s.name);
-      const themes = (doc.themes || []).map(t => t.name);
-      const mal_score = doc.mal_score || 0;
-      const mal_scored_by = doc.mal_scored_by || 1;
-      const mal_overall_score = bayesianAdjusted(mal_score, mal_scored_by);
-      text = `${doc.title_en || doc.title_original} is an anime${doc.title_jp ? ` (${doc.title_jp})` : ''}. ` +
-        `Description: ${doc.description || 'No description available.'} ` +
-        `Characters: ${chars.join(', ')}. ` +
-        `Demographics: ${demos.join(', ')}. Genres: ${genres.join(', ')}. ` +
-        `Producers: ${producers.join(', ')}. ` +
-        `Relations: ${relations.join(', ')}. ` +
-        `Studios: ${studios.join(', ')}. Themes: ${themes.join(', ')}.` +
-        `Score: ${mal_overall_score.toFixed(2)}.`;
-      break;
-    }
+// Documents still sitting in the dead-letter queue after this run
+async function logStuckDocuments(db) {
+  const stuck = await countDeadLetters(db);
+  const total = Object.values(stuck).reduce((sum, count) => sum + count, 0);
+  if (total === 0) return;
 
-    case 'movies': {
-      const actors = (doc.actors || []).slice(0, 10).map(a => a.name);
-      const genres = (doc.genres || []);
-      const companies = (doc.production_companies || []).map(pc => pc.name);
-      const tmdb_vote = doc.tmdb_vote || 0;
-      const tmdb_vote_count = doc.tmdb_vote_count || 1;
-      const tmdb_overall_score = bayesianAdjusted(tmdb_vote, tmdb_vote_count);
-
-      text = `${doc.title_en || doc.title_original} is a movie. ` +
-        `Plot: ${doc.description || 'No description available.'} ` +
-        `Starring: ${actors.join(', ')}. Genres: ${genres.join(', ')}. ` +
-        `Production: ${companies.join(', ')}.` +
-        `Score: ${tmdb_overall_score.toFixed(2)}.`;
-      break;
-    }
+  const perCollection = Object.entries(stuck).map(([coll, count]) => `${coll}: ${count}`).join(', ');
+  console.log(`🪦 ${total} documents stuck in the dead-letter queue (${perCollection}), run --replay-dead-letters`);
+}
 
-    case 'tv-series': {
-      const actors = (doc.actors || []).slice(0, 10).map(a => a.name);
-      const genres = (doc.genres || []);
-      const nets = (doc.networks || []).map(n => n.name);
-      const companies = (doc.production_companies || []).map(pc => pc.name);
-      const tmdb_vote = doc.tmdb_vote || 0;
-      const tmdb_vote_count = doc.tmdb_vote_count || 1;
-      const tmdb_overall_score = bayesianAdjusted(tmdb_vote, tmdb_vote_count);
-
-      text = `${doc.title_en || doc.title_original} is a TV series. ` +
-        `Overview: ${doc.description || 'No description available.'} ` +
-        `Cast: ${actors.join(', ')}. Genres: ${genres.join(', ')}. ` +
-        `Networks: ${nets.join(', ')}. Production: ${companies.join(', ')}.` +
-        `Score: ${tmdb_overall_score.toFixed(2)}.`;
-      break;
+// ------------------------------------------------------------
+// Keep the live index current from change streams until stopped
+// ------------------------------------------------------------
+async function watch(clients, options) {
+  const { mongo, embedder } = clients;
+  await clients.vectorStore.ensure(embedder.dimension);
+
+  // The live index always uses the plain hash and dead-letter collections,
+  // so following a promotion or rollback only means switching the store
+  const configuredIndex = createVectorStore().indexName;
+  let ctx = clients;
+  const getContext = async () => {
+    const liveIndex = await getLiveIndexName(mongo.db(), configuredIndex);
+    if (liveIndex !== ctx.vectorStore.indexName) {
+      console.log(`🔀 Live index switched from ${ctx.vectorStore.indexName} to ${liveIndex}, writing there from now on`);
+      ctx = { ...clients, vectorStore: createVectorStore(process.env, { indexName: liveIndex }), liveIndex };
     }
+    return ctx;
+  };
 
-    case 'games': {
-      const developers = (doc.developers || []);
-      const genres = (doc.genres || []);
-      const platforms = (doc.platforms || []);
-      const publishers = (doc.publishers || []);
-      const tags = (doc.tags || []);
-      text = `${doc.title || doc.title_original} is a game. ` +
-        `About: ${(doc.description || '').replace(/<[^>]+>/g, '')} ` +
-        `Developed by: ${developers.join(', ')}. Genres: ${genres.join(', ')}. ` +
-        `Metacritic Score: ${doc.metacritic_score || 'N/A'}. Platforms: ${platforms.join(', ')}. ` +
-        `Published by: ${publishers.join(', ')}. Tags: ${tags.join(', ')}.` +
-        `Score: ${doc.metacritic_score || 50}.`;
-      break;
-    }
+  const watcher = watchCollections(getContext, options.collections, { debounceMs: options.debounceMs });
+  const stop = signal => {
+    console.log(`🛑 ${signal} received, writing pending changes and stopping`);
+    watcher.stop();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
 
-    default:
-      text = `${doc.title_en || doc.title || ''}: ${doc.description || ''}`;
+  try {
+    await watcher.done;
+    return true;
+  } finally {
+    process.off('SIGINT', stop);
+    process.off('SIGTERM', stop);
   }
-  return text;
 }
 
-// Helper function to delay execution
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+// ------------------------------------------------------------
+// 3. Run one job: ingestion or one of the maintenance modes
+// ------------------------------------------------------------
+// Resolves to true when every collection finished without failures
+async function runJob(ctx, options) {
+  const { mongo, embedder, vectorStore, embeddingCache } = ctx;
+  const { collections, dryRun, apply } = options;
+
+  if (options.pruneCache) {
+    const keepModels = options.keepModels || [embedder.model];
+    const deleted = await pruneCache(mongo.db(), keepModels);
+    console.log(`🧹 Deleted ${deleted} cached embeddings (kept models: ${keepModels.join(', ')})`);
+    return true;
+  }
 
-// Helper function to handle rate limits with exponential backoff
-async function withRetry(fn, maxRetries = 5, initialWaitTime = 4400) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      // Handle OpenAI rate limits
-      if (error?.error?.type === 'requests' && error.status === 429) {
-        const waitTime = initialWaitTime * Math.pow(1.5, attempt - 1);
-        console.log(`⏳ Rate limit hit, waiting ${waitTime / 1000}s before retry ${attempt}/${maxRetries}`);
-        await sleep(waitTime);
-        continue;
-      }
+  // Dry runs only read from MongoDB
+  if (!dryRun) await vectorStore.ensure(embedder.dimension);
 
-      // Handle timeout errors
-      if (error.message && (error.message.includes('timeout') || error.message.includes('timed out'))) {
-        const waitTime = initialWaitTime * Math.pow(1.5, attempt - 1);
-        console.log(`⏳ Timeout error, waiting ${waitTime / 1000}s before retry ${attempt}/${maxRetries}`);
-        await sleep(waitTime);
-        continue;
-      }
+  if (options.reconcile) {
+    return await reconcile(ctx, collections, apply);
+  }
 
-      if (attempt < maxRetries) {
-        console.log(`⚠️ Error in attempt ${attempt}, retrying...`, error.message || error);
-        await sleep(initialWaitTime * Math.pow(1.5, attempt - 1));
-        continue;
+  if (options.calibrate) {
+    const pairs = await computeCalibration(ctx, collections, { samples: options.limit || 50 });
+    console.table(pairs);
+    return pairs.length > 0;
+  }
+
+  // Metadata-only edits don't change the embedding text, so they are
+  // pushed to existing vectors here instead of during ingestion
+  if (options.backfillMetadata) {
+    let ok = true;
+    for (const [coll, type] of collections) {
+      startCollection(coll);
+      try {
+        const { updated, failed } = await runInCollection(coll, () => backfillMetadata(ctx, coll, type));
+        countDocuments(coll, { processed: updated, failed });
+        finishCollection(coll, failed > 0 ? 'failed' : 'done');
+        if (failed > 0) ok = false;
+      } catch (err) {
+        ok = false;
+        finishCollection(coll, 'error');
+        if (isFatalError(err)) throw err;
+        console.error(`❌ Error backfilling metadata for ${coll}:`, err);
       }
-      throw error;
     }
+    return ok;
   }
-  throw new Error(`Failed after ${maxRetries} retries`);
-}
-
-// -------------------------------------------------------------------
-// 4. Ingest one MongoDB collection into Pinecone (with batching & logs)
-// -------------------------------------------------------------------
-async function ingestCollection({ mongo, openai, pineconeIndex }, collName, contentType) {
-  console.log(`📂 Starting ingestion for collection: ${collName}`);
-  const collection = mongo.db().collection(collName);
-  const BATCH_SIZE = 50;
-  let processed = 0;
-  let failedAttempts = 0;
-
-  try {
-    // Get total count for progress tracking
-    const totalDocuments = await collection.countDocuments({});
-    console.log(`📊 Total documents to process: ${totalDocuments}`);
-
-    // Use MongoDB's built-in batch processing
-    let batchNum = 0;
-    let hasMoreData = true;
 
-    while (hasMoreData) {
+  if (options.replayDeadLetters) {
+    let ok = true;
+    for (const [coll, type] of collections) {
+      startCollection(coll);
       try {
-        batchNum++;
-        console.log(`🔄 Processing batch #${batchNum} (skipping ${processed} documents)`);
-
-        // Get next batch with error handling
-        let batch = [];
-        try {
-          batch = await withRetry(async () => {
-            return await collection.find({})
-              .skip(processed)
-              .limit(BATCH_SIZE)
-              .toArray();
-          }, 3);
-        } catch (err) {
-          console.error(`⚠️ Error fetching batch #${batchNum}, will retry:`, err.message || err);
-          await sleep(5000); // Wait before retrying
-          continue;
-        }
-
-        // Check if we've processed all documents
-        if (batch.length === 0) {
-          console.log(`✅ All documents processed for ${collName}`);
-          hasMoreData = false;
-          break;
-        }
-
-        const documents = batch.map(doc => ({
-          id: doc._id.toString(),
-          text: buildText(doc, collName)
-        }));
-
-        // Process the batch with more robust error handling
-        try {
-          await processBatch(documents, openai, pineconeIndex, contentType);
-          processed += batch.length;
-          failedAttempts = 0; // Reset failed attempts counter after success
-
-          // Log progress
-          console.log(`🔄 [${contentType}] Progress: ${processed}/${totalDocuments} (${Math.round(processed / totalDocuments * 100)}%)`);
-
-          // Small delay between successful batches
-          await sleep(1000);
-        } catch (err) {
-          failedAttempts++;
-          console.error(`❌ Failed to process batch #${batchNum} (attempt ${failedAttempts}):`, err.message || err);
-
-          if (failedAttempts >= 5) {
-            console.error(`⛔ Too many failed attempts on batch #${batchNum}, skipping this batch`);
-            processed += batch.length; // Skip this batch after too many failures
-            failedAttempts = 0;
-          }
-
-          // Wait longer between failed attempts
-          await sleep(5000 * failedAttempts);
-        }
-      } catch (batchErr) {
-        console.error(`⚠️ Error in batch processing loop for ${collName}:`, batchErr.message || batchErr);
-        await sleep(5000);
-        // Continue to next iteration, don't break the loop
+        const { replayed, failed } = await runInCollection(coll, () => replayDeadLetters(ctx, coll, type));
+        countDocuments(coll, { processed: replayed, failed });
+        finishCollection(coll, failed > 0 ? 'failed' : 'done');
+        if (failed > 0) ok = false;
+      } catch (err) {
+        ok = false;
+        finishCollection(coll, 'error');
+        if (isFatalError(err)) throw err;
+        console.error(`❌ Error replaying dead letters for ${coll}:`, err);
       }
     }
+    await logStuckDocuments(mongo.db());
+    return ok;
+  }
 
-    console.log(`🎉 Completed ingestion for ${collName}: ${processed} documents processed`);
-  } catch (err) {
-    console.error(`❌ Error ingesting ${collName}:`, err);
-    console.log(`🔄 Will continue with remaining collections`);
+  const totals = { added: 0, changed: 0, unchanged: 0, failed: 0, errors: 0, tokens: 0, truncated: 0 };
+  let fatalError = null;
+
+  // Collections run side by side, sharing the rate limiters (dry runs
+  // one at a time, so their printed texts don't interleave)
+  await mapWithConcurrency(collections, dryRun ? 1 : options.parallelCollections, async ([coll, type]) => {
+    // Collections still waiting don't start once the run is doomed
+    if (fatalError) return;
+    startCollection(coll);
+    try {
+      const stats = await runInCollection(coll, () => ingestCollection(ctx, coll, type, {
+        fromScratch: options.fromScratch,
+        ids: options.ids,
+        since: options.since,
+        limit: options.limit,
+        dryRun,
+        concurrency: options.concurrency,
+      }));
+      for (const key of Object.keys(totals)) totals[key] += stats[key];
+      finishCollection(coll, stats.errors > 0 ? 'error' : stats.failed > 0 ? 'failed' : 'done');
+    } catch (err) {
+      totals.errors++;
+      finishCollection(coll, 'error');
+      if (isFatalError(err)) {
+        fatalError ??= err;
+        return;
+      }
+      console.error(`❌ Error during processing of ${coll}:`, err);
+      console.log(`🔄 Continuing with the other collections...`);
+      // Continue with the other collections even if this one failed
+    }
+  });
+  if (fatalError) throw fatalError;
+
+  console.log('🏁 All collections processed');
+  console.log(`📊 Summary: ${totals.added} new, ${totals.changed} changed, ${totals.unchanged} unchanged, ` +
+    `${totals.failed} failed, ${totals.truncated} truncated, ${totals.errors} collection errors`);
+  console.log(`🧮 ${totals.tokens} tokens ${dryRun ? 'would be embedded' : 'embedded'}`);
+  if (embeddingCache && !dryRun) {
+    console.log(`♻️ Embedding cache: ${embeddingCache.counters.hits} hits, ${embeddingCache.counters.misses} misses`);
   }
+  await logStuckDocuments(mongo.db());
+
+  return totals.failed === 0 && totals.errors === 0;
 }
 
-async function processBatch(documents, openai, pineconeIndex, contentType) {
-  // Get embeddings for all texts in the batch at once
-  const texts = documents.map(doc => doc.text);
+// Whether the run writes: every mode but a dry run of plain ingestion
+// (parseCliArgs rejects --dry-run with the others)
+function writesData(options) {
+  const writingModes = ['pruneCache', 'reconcile', 'backfillMetadata', 'replayDeadLetters', 'rebuild', 'calibrate', 'promoteIndex', 'rollbackIndex', 'watch'];
+  return writingModes.some(mode => options[mode]) || !options.dryRun;
+}
 
-  console.log(`🔄 Getting embeddings for batch of ${texts.length} documents`);
+// Name stored with the run report
+function jobMode(options) {
+  const modes = ['pruneCache', 'reconcile', 'backfillMetadata', 'replayDeadLetters', 'rebuild', 'calibrate'];
+  const mode = modes.find(name => options[name]) || 'ingest';
+  return options.dryRun ? `${mode} (dry run)` : mode;
+}
 
-  // More robust retry for OpenAI embedding
-  const embeddingRes = await withRetry(async () => {
-    return await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: texts,
-    });
-  });
+// Past run reports, newest first
+async function printRuns(db, limit) {
+  const runs = await listRuns(db, limit);
+  console.log('🗂 Recent runs:');
+  console.table(runs.map(run => ({
+    id: run._id.toString(),
+    mode: run.mode,
+    status: run.status,
+    started: run.started_at,
+    minutes: run.duration_ms ? Math.round(run.duration_ms / 6000) / 10 : null,
+    processed: run.totals?.processed,
+    skipped: run.totals?.skipped,
+    failed: run.totals?.failed,
+    tokens: run.totals?.tokens,
+    cost_usd: run.totals?.cost_usd,
+    retries: run.totals?.retries,
+  })));
+}
 
-  // Prepare vectors for Pinecone
-  const vectors = documents.map((doc, i) => ({
-    id: doc.id,
-    values: embeddingRes.data[i].embedding,
-    metadata: { type: contentType }
-  }));
-
-  // Upsert vectors to Pinecone with better error handling
-  console.log(`🚀 Upserting batch of ${vectors.length} vectors`);
-  await withRetry(async () => {
-    await pineconeIndex.upsert(vectors);
-  });
-  console.log(`✅ Batch upserted successfully`);
+// Index versions, newest first
+async function printIndexes(db, liveIndex) {
+  const { indexes, alias } = await listIndexes(db);
+  console.log(`🗃 Live index: ${liveIndex}${alias?.previous ? ` (previous: ${alias.previous})` : ''}`);
+  if (alias?.switching) {
+    console.log(`⚠️ The switch from ${alias.switching.from} to ${alias.switching.to} was interrupted, --promote-index or --rollback-index finishes it`);
+  }
+  if (indexes.length === 0) {
+    console.log('No index versions recorded yet, run --rebuild to create one');
+    return;
+  }
+  console.table(indexes.map(index => ({
+    name: index._id,
+    version: index.version,
+    status: index.status,
+    model: index.model,
+    dimension: index.dimension,
+    metric: index.metric,
+    built: index.built_at ?? null,
+    overlap: index.validation?.overlap ?? null,
+    validated: index.validation ? index.validation.passed : null,
+  })));
 }
 
 // ---------------------------
-// 5. Main orchestrator
+// 4. Main orchestrator
 // ---------------------------
-async function main() {
+async function main(options) {
   let mongo;
+  let metricsServer;
+  let lock;
 
   try {
-    const clients = await initClients();
+    // Load templates first so a broken template file fails before any work
+    useTemplates(options.templatesPath);
+
+    const clients = await initClients({ useCache: options.useCache });
     mongo = clients.mongo;
-    const { openai, pinecone } = clients;
-    const pineconeIndex = await ensureIndex(pinecone);
+    const { embedder } = clients;
+    const db = mongo.db();
+
+    if (options.previewTemplates) {
+      for (const [coll] of options.collections) {
+        await previewTemplate({ mongo }, coll, { ids: options.ids, limit: options.limit || 3 });
+      }
+      return true;
+    }
 
-    const collections = [
-      ['movies', 'movie'],
-      ['tv-series', 'tvseries'],
-      ['animes', 'anime'],
-      ['games', 'game'],
-    ];
+    if (options.cacheStats) {
+      const stats = await getCacheStats(db);
+      console.log('📦 Embedding cache:');
+      console.table(stats.map(s => ({ model: s._id, entries: s.entries, dimension: s.dimension, oldest: s.oldest, last_used: s.last_used })));
+      return true;
+    }
 
-    // Process collections sequentially to avoid overwhelming connections
-    for (const [coll, type] of collections) {
-      try {
-        await ingestCollection({ mongo, openai, pineconeIndex }, coll, type);
-      } catch (err) {
-        console.error(`❌ Error during processing of ${coll}:`, err);
-        console.log(`🔄 Continuing with next collection...`);
-        // Continue to next collection even if this one failed
+    if (options.listRuns) {
+      await printRuns(db, options.limit || 10);
+      return true;
+    }
+
+    if (options.compareRuns) {
+      const [a, b] = await getRunsToCompare(db, options.compareRuns);
+      console.log(`⚖️ Comparing run ${a._id} (${a.started_at.toISOString()}) with ${b._id} (${b.started_at.toISOString()})`);
+      console.table(compareRuns(a, b));
+      return true;
+    }
+
+    if (options.listIndexes) {
+      await printIndexes(db, clients.liveIndex);
+      return true;
+    }
+
+    if (options.validateIndex) {
+      const validation = await validateIndex({
+        mongo,
+        liveStore: clients.vectorStore,
+        candidateStore: createVectorStore(process.env, { indexName: options.validateIndex }),
+      }, options.validateIndex, { collections: options.collections, samples: options.limit || 20, minOverlap: options.minOverlap });
+      console.table(validation.collections);
+      console.log(`${validation.passed ? '✅' : '❌'} ${options.validateIndex}: overlap ${validation.overlap} ` +
+        `(needs ${validation.min_overlap}), ${validation.missing} of ${validation.sampled} sampled documents missing`);
+      return validation.passed;
+    }
+
+    // Hashes, checkpoints and dead letters are half swapped until an
+    // interrupted switch is finished, so nothing else may write meanwhile
+    const pending = await getPendingSwitch(db);
+    if (pending && writesData(options) && !options.promoteIndex && !options.rollbackIndex) {
+      throw new Error(`The switch from ${pending.from} to ${pending.to} was interrupted, finish it with --promote-index ${pending.to}`);
+    }
+
+    // The watcher writes a few documents at a time next to the other runs,
+    // so it doesn't hold the run lock
+    if (options.watch) {
+      if (options.metricsPort) metricsServer = await startMetricsServer(options.metricsPort, { pricePerMillionTokens: embedder.pricePerMillionTokens });
+      return await watch(clients, options);
+    }
+
+    // Only one run may write at a time; runs started by the scheduler share its lock
+    if (writesData(options)) {
+      const job = options.promoteIndex ? 'promote-index' : options.rollbackIndex ? 'rollback-index' : jobMode(options);
+      lock = await acquireRunLock(db, { job, owner: process.env.RUN_LOCK_OWNER });
+      if (!lock) {
+        const holder = await getRunLock(db);
+        console.error(`🔒 Another run holds the lock${holder ? ` (${holder.job} on ${holder.host}, pid ${holder.pid})` : ''}, not starting`);
+        return LOCKED;
+      }
+    }
+
+    if (options.promoteIndex || options.rollbackIndex) {
+      const { from, to } = options.promoteIndex
+        ? await promoteIndex(db, options.promoteIndex, createVectorStore().indexName, { force: options.force })
+        : await rollbackIndex(db);
+      console.log(`🔀 Live index switched from ${from} to ${to}`);
+      return true;
+    }
+
+    // Rebuilds write into a new index version, --index into an existing one
+    let ctx = clients;
+    if (options.rebuild) {
+      const index = await createIndexVersion(db, createVectorStore(), embedder);
+      console.log(`🏗 Rebuilding into ${index._id} (${embedder.model}, ${embedder.dimension} dimensions), reads stay on ${clients.liveIndex}`);
+      ctx = useIndex(clients, index._id);
+    } else if (options.index) {
+      if (options.index !== clients.liveIndex && !await getIndexRecord(db, options.index)) {
+        throw new Error(`No index named ${options.index}, see --list-indexes`);
       }
+      ctx = useIndex(clients, options.index);
     }
 
-    console.log('🏁 All collections processed');
+    // Everything below is recorded in ingestion-runs
+    resetMetrics();
+    const runId = await startRunReport(db, { mode: jobMode(options), options, ...ctx });
+    const pricing = { pricePerMillionTokens: embedder.pricePerMillionTokens };
+    if (options.metricsPort) metricsServer = await startMetricsServer(options.metricsPort, pricing);
+
+    let ok = false;
+    let error = null;
+    try {
+      ok = await runJob(ctx, options.rebuild ? { ...options, fromScratch: true } : options);
+
+      // A complete ingestion into a new index makes it ready to validate
+      const fullIngest = jobMode(options) === 'rebuild' || (jobMode(options) === 'ingest' && !(options.ids || options.since || options.limit));
+      if (ok && fullIngest && ctx.vectorStore.indexName !== clients.liveIndex) {
+        await markIndexBuilt(db, ctx.vectorStore.indexName, embedder);
+        console.log(`🏗 ${ctx.vectorStore.indexName} is built, run --validate-index ${ctx.vectorStore.indexName}`);
+      }
+    } catch (err) {
+      error = err;
+      console.error('❌ Fatal error in ingestion script:', err);
+    }
+
+    await finishRunReport(db, runId, { ok, error, ...pricing });
+    const { totals } = buildReport(getMetrics(), pricing.pricePerMillionTokens);
+    console.log(`🗂 Run ${runId} saved: ${totals.processed} processed, ${totals.skipped} skipped, ${totals.failed} failed, ` +
+      `${totals.tokens} tokens (~$${totals.cost_usd}), ${totals.retries} retries`);
+    return ok;
   } catch (err) {
     console.error('❌ Fatal error in ingestion script:', err);
+    return false;
   } finally {
+    if (metricsServer) metricsServer.close();
+    if (lock) await lock.release().catch(err => console.error('❌ Error releasing the run lock:', err));
+
     // Ensure MongoDB connection is closed properly
     if (mongo) {
       try {
@@ -351,7 +503,23 @@ async function main() {
   }
 }
 
-main().catch(err => {
+let options;
+try {
+  options = parseCliArgs(process.argv.slice(2));
+} catch (err) {
+  console.error(`❌ ${err.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+if (options.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+// A non-zero exit code lets pm2, cron and the scheduler notice failed runs
+main(options).then(result => {
+  process.exitCode = result === LOCKED ? EXIT_LOCKED : result ? 0 : 1;
+}).catch(err => {
   console.error('Fatal error in ingestion script:', err);
   process.exit(1);
-});
\ No newline at end of file
+});
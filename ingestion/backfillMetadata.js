@@ -0,0 +1,85 @@
+import { buildMetadata } from './metadata.js';
+import { withRetry, isFatalError } from './retry.js';
+import { getTemplate } from './templates.js';
+
+const BATCH_SIZE = 100;
+const UPDATE_CONCURRENCY = 10;
+
+// --------------------------------------------------------------------
+// Rewrite metadata of existing vectors in place, without re-embedding.
+// Facet vectors carry the same metadata, so they are updated too. Updates
+// only add and overwrite fields, so a vector with a field that is gone
+// (a score the source no longer has) is upserted again with its values.
+// --------------------------------------------------------------------
+async function backfillMetadata({ mongo, vectorStore, limiters = null }, collName, contentType) {
+  console.log(`🏷 Backfilling metadata for collection: ${collName}`);
+  const collection = mongo.db().collection(collName);
+  const facetStores = Object.keys(getTemplate(collName).facets || {}).map(facet => vectorStore.namespace(facet));
+  const stores = [vectorStore, ...facetStores];
+  let lastId = null;
+  let updated = 0;
+  let failed = 0;
+
+  while (true) {
+    const batch = await withRetry(async () => {
+      return await collection.find(lastId === null ? {} : { _id: { $gt: lastId } })
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE)
+        .toArray();
+    }, 3);
+    if (batch.length === 0) break;
+
+    // Empty facets have no vector, so only update the facet vectors that exist
+    const stored = await Promise.all(stores.map(async store => {
+      const { records } = await withRetry(() => store.fetch(batch.map(doc => doc._id.toString())), 3);
+      return records || {};
+    }));
+
+    for (let i = 0; i < batch.length; i += UPDATE_CONCURRENCY) {
+      const results = await Promise.allSettled(batch.slice(i, i + UPDATE_CONCURRENCY).map(doc =>
+        withRetry(async () => {
+          const id = doc._id.toString();
+          const metadata = buildMetadata(doc, contentType);
+          for (const [s, store] of stores.entries()) {
+            const record = stored[s][id];
+            if (!record && store !== vectorStore) continue;
+            await limiters?.vectorWrites.acquire({ requests: 1 });
+            if (record && hasDroppedFields(record.metadata, metadata)) {
+              const { template_version } = record.metadata;
+              await store.upsert([{ id, values: record.values, metadata: { ...metadata, ...(template_version !== undefined ? { template_version } : {}) } }]);
+            } else {
+              await store.update({ id, metadata });
+            }
+          }
+        }, 3)
+      ));
+
+      // Bad credentials fail every update, so stop instead of counting them
+      const fatal = results.find(result => result.status === 'rejected' && isFatalError(result.reason));
+      if (fatal) throw fatal.reason;
+
+      for (const result of results) {
+        if (result.status === 'fulfilled') {
+          updated++;
+        } else {
+          failed++;
+          console.error(`❌ Metadata update failed:`, result.reason?.message || result.reason);
+        }
+      }
+    }
+
+    lastId = batch[batch.length - 1]._id;
+    console.log(`🏷 [${contentType}] Metadata updated for ${updated} vectors (${failed} failed)`);
+  }
+
+  console.log(`🎉 Completed metadata backfill for ${collName}: ${updated} updated, ${failed} failed`);
+  return { updated, failed };
+}
+
+// Whether the stored metadata has fields the new metadata no longer sets
+// (template_version is set by ingestion, not buildMetadata)
+function hasDroppedFields(stored = {}, metadata) {
+  return Object.keys(stored).some(key => key !== 'template_version' && !(key in metadata));
+}
+
+export { backfillMetadata };
@@ -0,0 +1,74 @@
+import { countTokens, truncateToTokens } from './tokens.js';
+import { getTemplate, renderTemplateParts } from './templates.js';
+
+// A list value is joined with ', ' and trimmed item by item,
+// a string value is trimmed by tokens
+function renderPart(p) {
+  const value = Array.isArray(p.value) ? p.value.join(', ') : p.value;
+  return `${p.prefix}${value}${p.suffix}`;
+}
+
+// -----------------------------------------
+// Build text for embedding per type
+// -----------------------------------------
+function buildTextParts(doc, type, templates, facet = null) {
+  return renderTemplateParts(getTemplate(type, templates), doc, facet);
+}
+
+function buildText(doc, type, templates) {
+  return buildTextParts(doc, type, templates).map(renderPart).join('');
+}
+
+// Build the text and trim it to maxTokens by each part's trimOrder (the
+// description first, title and genres never). Reports the trimmed parts.
+// Pass a facet to build that facet's text instead of the combined one.
+function buildTextWithinBudget(doc, type, maxTokens, { templates, facet = null } = {}) {
+  const parts = buildTextParts(doc, type, templates, facet);
+  const fullText = parts.map(renderPart).join('');
+  const originalTokens = countTokens(fullText);
+  if (originalTokens <= maxTokens) {
+    return { text: fullText, tokens: originalTokens, originalTokens, truncated: [] };
+  }
+
+  const truncated = [];
+  const trimmable = parts
+    .filter(p => p.trimOrder !== null)
+    .sort((a, b) => a.trimOrder - b.trimOrder);
+
+  let tokens = originalTokens;
+  for (const p of trimmable) {
+    if (tokens <= maxTokens) break;
+
+    // Tokens don't add up exactly across part boundaries, so binary search
+    // for the longest prefix of this part that keeps the whole text in budget
+    const original = p.value;
+    const units = Array.isArray(original) ? original.length : countTokens(original);
+    const cut = keep => Array.isArray(original) ? original.slice(0, keep) : truncateToTokens(original, keep);
+    const measure = () => countTokens(parts.map(renderPart).join(''));
+
+    let low = 0;
+    let high = units;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      p.value = cut(mid);
+      if (measure() <= maxTokens) low = mid;
+      else high = mid - 1;
+    }
+
+    p.value = cut(low);
+    truncated.push(p.name);
+    tokens = measure();
+  }
+
+  // Title, genres and score alone can still be too long in pathological cases
+  let text = parts.map(renderPart).join('');
+  if (tokens > maxTokens) {
+    text = truncateToTokens(text, maxTokens);
+    tokens = countTokens(text);
+    truncated.push('all');
+  }
+
+  return { text, tokens, originalTokens, truncated };
+}
+
+export { buildText, buildTextParts, buildTextWithinBudget, renderPart };
@@ -0,0 +1,95 @@
+const CALIBRATION_COLLECTION = 'similarity-calibration';
+// How long recommendations keep calibration before reading it again
+const CALIBRATION_TTL_MS = 10 * 60 * 1000;
+
+// ------------------------------------------------------------------
+// Raw similarity isn't comparable across content types: an anime's
+// nearest anime score far higher than its nearest games, so mixing
+// types by raw score only ever shows the item's own type. Calibration
+// records, per source -> target type pair and per index, the mean and
+// spread of the top-k scores of sampled source items among the target
+// type. A match is then scored by where it falls in that distribution
+// (0.5 is a typical top-k match for the pair), which does compare.
+// ------------------------------------------------------------------
+async function computeCalibration({ mongo, vectorStore }, collections, { samples = 50, topK = 10 } = {}) {
+  const db = mongo.db();
+  const targets = collections.map(([, type]) => type);
+  console.log(`📐 Calibrating ${collections.length * targets.length} type pairs on ${vectorStore.indexName} ` +
+    `(top ${topK}, ${samples} samples per type)`);
+  const rows = [];
+
+  for (const [coll, source] of collections) {
+    const docs = await db.collection(coll).aggregate([{ $sample: { size: samples } }, { $project: { _id: 1 } }]).toArray();
+    const scores = Object.fromEntries(targets.map(target => [target, []]));
+    let sampled = 0;
+
+    for (const doc of docs) {
+      const id = doc._id.toString();
+      let found = false;
+      for (const target of targets) {
+        const res = await vectorStore.query({ id, topK: topK + 1, filter: { type: target } });
+        const matches = (res.matches || []).filter(match => match.id !== id).slice(0, topK);
+        scores[target].push(...matches.map(match => match.score));
+        found ||= matches.length > 0;
+      }
+      // Documents without a vector match nothing in any type
+      if (found) sampled++;
+    }
+
+    for (const target of targets) {
+      const values = scores[target];
+      if (values.length < 2) {
+        console.warn(`⚠️ Too few ${source} -> ${target} matches to calibrate, keeping the previous calibration`);
+        continue;
+      }
+      const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const std = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1));
+      rows.push({ source, target, mean: round(mean), std: round(std), sampled, scores: values.length });
+    }
+  }
+
+  const now = new Date();
+  if (rows.length > 0) {
+    await db.collection(CALIBRATION_COLLECTION).bulkWrite(rows.map(row => ({
+      updateOne: {
+        filter: { _id: `${vectorStore.indexName}:${row.source}:${row.target}` },
+        update: { $set: { index: vectorStore.indexName, ...row, top_k: topK, calibrated_at: now } },
+        upsert: true,
+      },
+    })), { ordered: false });
+  }
+  return rows;
+}
+
+const cache = new Map();
+
+// Calibration of one index as Map<"source:target", { mean, std }>
+async function getCalibration(db, indexName) {
+  const cached = cache.get(indexName);
+  if (cached && Date.now() - cached.loadedAt < CALIBRATION_TTL_MS) return cached.pairs;
+
+  const entries = await db.collection(CALIBRATION_COLLECTION).find({ index: indexName }).toArray();
+  const pairs = new Map(entries.map(entry => [`${entry.source}:${entry.target}`, { mean: entry.mean, std: entry.std }]));
+  cache.set(indexName, { pairs, loadedAt: Date.now() });
+  return pairs;
+}
+
+// Share of a pair's typical top matches that score below this one
+function calibrateScore(score, { mean, std }) {
+  if (!(std > 0)) return score >= mean ? 1 : 0;
+  return normalCdf((score - mean) / std);
+}
+
+// Abramowitz and Stegun 7.1.26, accurate to about 1e-7
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+export { CALIBRATION_COLLECTION, computeCalibration, getCalibration, calibrateScore };
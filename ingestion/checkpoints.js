@@ -0,0 +1,23 @@
+const CHECKPOINT_COLLECTION = 'ingestion-checkpoints';
+
+// Last committed _id for a collection, or null when there is nothing to resume
+async function loadCheckpoint(db, collName) {
+  const checkpoint = await db.collection(CHECKPOINT_COLLECTION).findOne({ _id: collName });
+  return checkpoint?.last_id ?? null;
+}
+
+// Called after each successful batch so a crash resumes right after it
+async function saveCheckpoint(db, collName, lastId) {
+  await db.collection(CHECKPOINT_COLLECTION).updateOne(
+    { _id: collName },
+    { $set: { last_id: lastId, updated_at: new Date() } },
+    { upsert: true }
+  );
+}
+
+// A finished collection starts from the beginning on the next run
+async function clearCheckpoint(db, collName) {
+  await db.collection(CHECKPOINT_COLLECTION).deleteOne({ _id: collName });
+}
+
+export { CHECKPOINT_COLLECTION, loadCheckpoint, saveCheckpoint, clearCheckpoint };
@@ -0,0 +1,204 @@
+import { parseArgs } from 'util';
+import { WATCHED_COLLECTIONS, selectCollections } from './collections.js';
+
+const USAGE = `Usage: node index.js [options]
+
+Options:
+  --collections <list>   Comma-separated collections or types to process (default: all)
+  --ids <list>           Only process these document IDs
+  --limit <n>            Process at most n documents per collection
+  --since <date>         Only process documents created or updated since this date
+  --dry-run              Print embedding text and token counts, no embedding or vector store calls
+                         (ingestion only, not with modes that write)
+  --from-scratch         Ignore saved checkpoints and start from the first document
+  --concurrency <n>      Batches embedded and upserted at once per collection (default: INGEST_CONCURRENCY or 4)
+  --parallel-collections <n>  Collections ingested at once (default: INGEST_PARALLEL_COLLECTIONS or 2)
+  --reconcile            Report orphan and missing vectors (add --apply to fix them)
+  --apply                Delete orphans and embed missing documents in --reconcile mode
+  --backfill-metadata    Rewrite metadata of existing vectors without re-embedding
+  --replay-dead-letters  Retry only documents whose batches failed in earlier runs
+  --preview-templates    Render embedding templates against sample documents (--limit, default 3)
+  --templates <path>     Embedding template file (default: config/embeddingTemplates.json)
+  --no-cache             Don't read or write the embedding cache
+  --cache-stats          Show embedding cache entries per model
+  --prune-cache          Delete cached embeddings of models other than the current one
+  --keep-models <list>   Models to keep when pruning (default: the current model)
+  --list-runs            Show reports of recent runs (--limit, default 10)
+  --compare-runs <ids>   Compare two run reports: two comma-separated run IDs, or "last"
+  --metrics-port <port>  Serve Prometheus metrics on this port while running (default: METRICS_PORT)
+  --rebuild              Build a new index version from scratch; reads stay on the live index
+  --index <name>         Write to this index instead of the live one (resume or catch up a rebuild)
+  --list-indexes         Show index versions and which one is live
+  --validate-index <name>  Compare similar items of an index with the live one (--limit samples, default 20)
+  --min-overlap <0-1>    Overlap needed to pass validation (default: INDEX_MIN_OVERLAP or 0.5)
+  --promote-index <name> Make a validated index live
+  --force                Promote without passing validation
+  --rollback-index       Make the previously live index live again
+  --calibrate            Measure cross-media similarity per type pair (--limit samples per type, default 50)
+  --watch                Keep vectors current from change streams until stopped (default: the watched types)
+  --debounce <seconds>   Quiet time before --watch writes a collection's changes (default: WATCH_DEBOUNCE_SECONDS or 5)
+  -h, --help             Show this help`;
+
+function splitList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+}
+
+function positiveInteger(flag, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${flag} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+// Parse and validate argv, throwing on anything we can't act on
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      collections: { type: 'string' },
+      ids: { type: 'string' },
+      limit: { type: 'string' },
+      since: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'from-scratch': { type: 'boolean', default: false },
+      concurrency: { type: 'string' },
+      'parallel-collections': { type: 'string' },
+      reconcile: { type: 'boolean', default: false },
+      apply: { type: 'boolean', default: false },
+      'backfill-metadata': { type: 'boolean', default: false },
+      'replay-dead-letters': { type: 'boolean', default: false },
+      'preview-templates': { type: 'boolean', default: false },
+      templates: { type: 'string' },
+      'no-cache': { type: 'boolean', default: false },
+      'cache-stats': { type: 'boolean', default: false },
+      'prune-cache': { type: 'boolean', default: false },
+      'keep-models': { type: 'string' },
+      'list-runs': { type: 'boolean', default: false },
+      'compare-runs': { type: 'string' },
+      'metrics-port': { type: 'string' },
+      rebuild: { type: 'boolean', default: false },
+      index: { type: 'string' },
+      'list-indexes': { type: 'boolean', default: false },
+      'validate-index': { type: 'string' },
+      'min-overlap': { type: 'string' },
+      'promote-index': { type: 'string' },
+      force: { type: 'boolean', default: false },
+      'rollback-index': { type: 'boolean', default: false },
+      calibrate: { type: 'boolean', default: false },
+      watch: { type: 'boolean', default: false },
+      debounce: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const limit = values.limit !== undefined ? positiveInteger('--limit', values.limit) : null;
+  const concurrency = positiveInteger('--concurrency', values.concurrency ?? process.env.INGEST_CONCURRENCY ?? '4');
+  const parallelCollections = positiveInteger('--parallel-collections',
+    values['parallel-collections'] ?? process.env.INGEST_PARALLEL_COLLECTIONS ?? '2');
+
+  let since = null;
+  if (values.since !== undefined) {
+    since = new Date(values.since);
+    if (Number.isNaN(since.getTime())) {
+      throw new Error(`--since must be a valid date, got "${values.since}"`);
+    }
+  }
+
+  let metricsPort = null;
+  const portValue = values['metrics-port'] ?? process.env.METRICS_PORT;
+  if (portValue) {
+    metricsPort = Number(portValue);
+    if (!Number.isInteger(metricsPort) || metricsPort <= 0 || metricsPort > 65535) {
+      throw new Error(`--metrics-port must be a port number, got "${portValue}"`);
+    }
+  }
+
+  const debounceSeconds = positiveInteger('--debounce', values.debounce ?? process.env.WATCH_DEBOUNCE_SECONDS ?? '5');
+
+  const minOverlap = Number(values['min-overlap'] ?? process.env.INDEX_MIN_OVERLAP ?? '0.5');
+  if (!(minOverlap >= 0 && minOverlap <= 1)) {
+    throw new Error(`--min-overlap must be between 0 and 1, got "${values['min-overlap'] ?? process.env.INDEX_MIN_OVERLAP}"`);
+  }
+
+  const modes = [
+    'reconcile', 'backfill-metadata', 'replay-dead-letters', 'preview-templates',
+    'cache-stats', 'prune-cache', 'list-runs', 'compare-runs',
+    'rebuild', 'list-indexes', 'validate-index', 'promote-index', 'rollback-index', 'watch', 'calibrate',
+  ].filter(mode => values[mode]);
+  if (modes.length > 1) {
+    throw new Error(`--${modes.join(' and --')} cannot be combined`);
+  }
+  // Only ingestion knows how to run dry; reconcile without --apply is its own dry run
+  const writing = modes.filter(mode => ['reconcile', 'backfill-metadata', 'replay-dead-letters', 'prune-cache', 'promote-index', 'rollback-index'].includes(mode));
+  if (values['dry-run'] && writing.length > 0) {
+    throw new Error(`--dry-run cannot be combined with --${writing[0]}`);
+  }
+  if (values.rebuild && (values['dry-run'] || values.ids || values.since || values.limit)) {
+    throw new Error('--rebuild always processes every document, use --index to catch up a rebuild');
+  }
+  // Only jobs that write to the live index can be pointed at another one
+  if (values.index && modes.some(mode => !['reconcile', 'backfill-metadata', 'replay-dead-letters', 'calibrate'].includes(mode))) {
+    throw new Error('--index is only valid when ingesting, reconciling, backfilling, replaying or calibrating');
+  }
+  // The watcher always follows the live index and picks its own documents
+  if (values.watch && (values['dry-run'] || values.ids || values.since || values.limit || values.index || values['from-scratch'])) {
+    throw new Error('--watch cannot be combined with --dry-run, --ids, --since, --limit, --index or --from-scratch');
+  }
+  if (values.debounce !== undefined && !values.watch) {
+    throw new Error('--debounce is only valid with --watch');
+  }
+  if (values.calibrate && (values['dry-run'] || values.ids || values.since)) {
+    throw new Error('--calibrate samples whole collections, it cannot be combined with --dry-run, --ids or --since');
+  }
+  if (values.force && !values['promote-index']) {
+    throw new Error('--force is only valid with --promote-index');
+  }
+  if (values['min-overlap'] !== undefined && !values['validate-index']) {
+    throw new Error('--min-overlap is only valid with --validate-index');
+  }
+  if (values['keep-models'] && !values['prune-cache']) {
+    throw new Error('--keep-models is only valid with --prune-cache');
+  }
+  if (values.apply && !values.reconcile) {
+    throw new Error('--apply is only valid with --reconcile');
+  }
+
+  return {
+    help: values.help,
+    collections: values.watch && !values.collections ? WATCHED_COLLECTIONS : selectCollections(splitList(values.collections)),
+    ids: splitList(values.ids),
+    limit,
+    since,
+    dryRun: values['dry-run'],
+    fromScratch: values['from-scratch'],
+    concurrency,
+    parallelCollections,
+    reconcile: values.reconcile,
+    apply: values.apply,
+    backfillMetadata: values['backfill-metadata'],
+    replayDeadLetters: values['replay-dead-letters'],
+    previewTemplates: values['preview-templates'],
+    templatesPath: values.templates,
+    useCache: !values['no-cache'],
+    cacheStats: values['cache-stats'],
+    pruneCache: values['prune-cache'],
+    keepModels: splitList(values['keep-models']),
+    listRuns: values['list-runs'],
+    compareRuns: splitList(values['compare-runs']),
+    metricsPort,
+    rebuild: values.rebuild,
+    index: values.index ?? null,
+    listIndexes: values['list-indexes'],
+    validateIndex: values['validate-index'] ?? null,
+    minOverlap,
+    promoteIndex: values['promote-index'] ?? null,
+    force: values.force,
+    rollbackIndex: values['rollback-index'],
+    calibrate: values.calibrate,
+    watch: values.watch,
+    debounceMs: debounceSeconds * 1000,
+  };
+}
+
+export { parseCliArgs, USAGE };
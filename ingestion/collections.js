@@ -0,0 +1,19 @@
+import { CONTENT_TYPES } from '../config/contentTypes.js';
+
+// MongoDB collection -> vector metadata type, in ingestion order
+const COLLECTIONS = CONTENT_TYPES.map(({ collection, type }) => [collection, type]);
+// Collections --watch follows unless told otherwise
+const WATCHED_COLLECTIONS = CONTENT_TYPES.filter(entry => entry.watch).map(({ collection, type }) => [collection, type]);
+
+// Accepts either collection names or content types ("animes" or "anime")
+function selectCollections(names) {
+  if (!names || names.length === 0) return COLLECTIONS;
+
+  return names.map(name => {
+    const entry = COLLECTIONS.find(([coll, type]) => coll === name || type === name);
+    if (!entry) throw new Error(`Unknown collection: ${name}`);
+    return entry;
+  });
+}
+
+export { COLLECTIONS, WATCHED_COLLECTIONS, selectCollections };
@@ -0,0 +1,47 @@
+import { createHash } from 'crypto';
+
+const HASH_COLLECTION = 'embedding-hashes';
+
+// Hash the exact text we embed together with the model that embeds it,
+// so switching models invalidates every stored hash
+function contentHash(text, model) {
+  return createHash('sha256').update(`${model}\n${text}`).digest('hex');
+}
+
+// Split a batch into new, changed and unchanged documents by comparing
+// against the hashes stored by previous runs
+async function classifyDocuments(db, documents) {
+  const ids = documents.map(doc => doc.id);
+  const stored = await db.collection(HASH_COLLECTION)
+    .find({ _id: { $in: ids } }, { projection: { hash: 1 } })
+    .toArray();
+  const storedHashes = new Map(stored.map(entry => [entry._id, entry.hash]));
+
+  const result = { added: [], changed: [], unchanged: [] };
+  for (const doc of documents) {
+    if (!storedHashes.has(doc.id)) {
+      result.added.push(doc);
+    } else if (storedHashes.get(doc.id) !== doc.hash) {
+      result.changed.push(doc);
+    } else {
+      result.unchanged.push(doc);
+    }
+  }
+  return result;
+}
+
+// Record hashes for documents whose vectors were upserted successfully
+async function saveHashes(db, documents, contentType, model) {
+  if (!documents.length) return;
+
+  const now = new Date();
+  await db.collection(HASH_COLLECTION).bulkWrite(documents.map(doc => ({
+    updateOne: {
+      filter: { _id: doc.id },
+      update: { $set: { type: contentType, hash: doc.hash, model, template_version: doc.templateVersion, updated_at: now } },
+      upsert: true
+    }
+  })), { ordered: false });
+}
+
+export { HASH_COLLECTION, contentHash, classifyDocuments, saveHashes };
@@ -0,0 +1,41 @@
+const DEAD_LETTER_COLLECTION = 'ingestion-dead-letters';
+
+// Remember documents whose batch ran out of attempts, one entry per document
+async function recordDeadLetters(db, collName, contentType, docs, error, attempts) {
+  if (!docs.length) return;
+
+  const now = new Date();
+  await db.collection(DEAD_LETTER_COLLECTION).bulkWrite(docs.map(doc => ({
+    updateOne: {
+      filter: { _id: `${collName}:${doc._id.toString()}` },
+      update: {
+        $set: {
+          doc_id: doc._id,
+          collection: collName,
+          type: contentType,
+          error: error?.message || String(error),
+          last_failed_at: now
+        },
+        $setOnInsert: { first_failed_at: now },
+        $inc: { attempts }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+}
+
+// Forget documents that made it into the index after all
+async function clearDeadLetters(db, collName, ids) {
+  if (!ids.length) return;
+  await db.collection(DEAD_LETTER_COLLECTION).deleteMany({ _id: { $in: ids.map(id => `${collName}:${id}`) } });
+}
+
+// Stuck documents per collection, for run summaries
+async function countDeadLetters(db) {
+  const counts = await db.collection(DEAD_LETTER_COLLECTION).aggregate([
+    { $group: { _id: '$collection', count: { $sum: 1 } } }
+  ]).toArray();
+  return Object.fromEntries(counts.map(c => [c._id, c.count]));
+}
+
+export { DEAD_LETTER_COLLECTION, recordDeadLetters, clearDeadLetters, countDeadLetters };
@@ -0,0 +1,29 @@
+export { ingestCollection, processBatch, toDocument } from './ingestCollection.js';
+export { listVectorIdsByType, reconcileCollection, deleteVectors } from './reconcile.js';
+export { backfillMetadata } from './backfillMetadata.js';
+export { countDeadLetters } from './deadLetters.js';
+export { replayDeadLetters } from './replayDeadLetters.js';
+export { previewTemplate } from './previewTemplates.js';
+export { watchCollections } from './watch.js';
+export { computeCalibration } from './calibration.js';
+export { buildText } from './buildText.js';
+export { useTemplates } from './templates.js';
+export { buildMetadata } from './metadata.js';
+export { resetMetrics, startCollection, finishCollection, runInCollection, countDocuments, getMetrics } from './metrics.js';
+export { createRateLimiter } from './rateLimiter.js';
+export { mapWithConcurrency } from './concurrency.js';
+export { startRunReport, finishRunReport, buildReport, listRuns, getRunsToCompare, compareRuns } from './runReports.js';
+export { startMetricsServer } from './metricsServer.js';
+export { withRetry, isFatalError } from './retry.js';
+export {
+  getLiveIndexName,
+  getIndexRecord,
+  getPendingSwitch,
+  listIndexes,
+  scopeMongoToIndex,
+  createIndexVersion,
+  markIndexBuilt,
+  promoteIndex,
+  rollbackIndex,
+  validateIndex,
+} from './indexes.js';
@@ -0,0 +1,323 @@
+import { HASH_COLLECTION } from './contentHash.js';
+import { CHECKPOINT_COLLECTION } from './checkpoints.js';
+import { DEAD_LETTER_COLLECTION } from './deadLetters.js';
+import { getTemplate } from './templates.js';
+import { COLLECTIONS } from './collections.js';
+
+// ------------------------------------------------------------------
+// Versioned vector indexes for blue-green rebuilds. Every index is
+// recorded in vector-indexes with the model, dimension, metric and
+// template versions it was built with:
+//
+//   building  a rebuild is writing into it
+//   ready     fully built, can be validated and promoted
+//   live      the index behind the "live" alias, used for reads
+//   retired   replaced by a newer index, kept for rollback
+//
+// Readers and incremental runs follow the "live" alias in
+// vector-index-aliases. Before the first rebuild there is no alias
+// and the configured index (PINECONE_INDEX) is live.
+// ------------------------------------------------------------------
+const INDEX_COLLECTION = 'vector-indexes';
+const ALIAS_COLLECTION = 'vector-index-aliases';
+
+// Ingestion state that belongs to one index. The live index uses the plain
+// collection names, any other index "<collection>-<index name>"; promotion
+// swaps them so incremental runs keep working against the live index.
+const STATE_COLLECTIONS = [HASH_COLLECTION, CHECKPOINT_COLLECTION, DEAD_LETTER_COLLECTION];
+
+function stateCollectionName(collection, indexName) {
+  return `${collection}-${indexName}`;
+}
+
+async function getLiveIndexName(db, configuredName) {
+  const alias = await db.collection(ALIAS_COLLECTION).findOne({ _id: 'live' });
+  return alias?.index ?? configuredName;
+}
+
+async function getIndexRecord(db, indexName) {
+  return db.collection(INDEX_COLLECTION).findOne({ _id: indexName });
+}
+
+async function listIndexes(db) {
+  const [indexes, alias] = await Promise.all([
+    db.collection(INDEX_COLLECTION).find({}).sort({ version: -1 }).toArray(),
+    db.collection(ALIAS_COLLECTION).findOne({ _id: 'live' }),
+  ]);
+  return { indexes, alias };
+}
+
+// A MongoClient look-alike whose state collections are those of indexName,
+// so ingestion code can write a non-live index without knowing about it
+function scopeMongoToIndex(mongo, indexName) {
+  const db = mongo.db();
+  const scoped = new Proxy(db, {
+    get(target, prop) {
+      if (prop === 'collection') {
+        return (name, ...rest) => target.collection(
+          STATE_COLLECTIONS.includes(name) ? stateCollectionName(name, indexName) : name, ...rest);
+      }
+      const value = Reflect.get(target, prop);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+  return { db: () => scoped, close: () => mongo.close() };
+}
+
+function templateVersions() {
+  return Object.fromEntries(COLLECTIONS.map(([coll]) => [coll, getTemplate(coll).version]));
+}
+
+// Record the index we have been using all along as version 1, so it can be rolled back to
+async function adoptConfiguredIndex(db, vectorStore) {
+  const existing = await getIndexRecord(db, vectorStore.indexName);
+  if (existing) return existing;
+
+  // Stored hashes tell which model built it; the rest is what it was created with
+  const hash = await db.collection(HASH_COLLECTION).findOne({}, { projection: { model: 1 } });
+  const record = {
+    _id: vectorStore.indexName,
+    version: 1,
+    backend: vectorStore.name,
+    model: hash?.model ?? null,
+    dimension: null,
+    metric: vectorStore.metric,
+    template_versions: null,
+    status: 'live',
+    adopted: true,
+    created_at: new Date(),
+  };
+  await db.collection(INDEX_COLLECTION).insertOne(record);
+  await db.collection(ALIAS_COLLECTION).updateOne(
+    { _id: 'live' },
+    { $setOnInsert: { index: record._id, previous: null, switched_at: record.created_at } },
+    { upsert: true }
+  );
+  return record;
+}
+
+// Register the next index version, named "<configured index>-v<version>"
+async function createIndexVersion(db, configuredStore, embedder) {
+  await adoptConfiguredIndex(db, configuredStore);
+  const [latest] = await db.collection(INDEX_COLLECTION).find({}).sort({ version: -1 }).limit(1).toArray();
+  const version = (latest?.version ?? 1) + 1;
+  const record = {
+    _id: `${configuredStore.indexName}-v${version}`,
+    version,
+    backend: configuredStore.name,
+    model: embedder.model,
+    dimension: embedder.dimension,
+    metric: configuredStore.metric,
+    template_versions: templateVersions(),
+    status: 'building',
+    created_at: new Date(),
+  };
+  await db.collection(INDEX_COLLECTION).insertOne(record);
+  return record;
+}
+
+// After a successful run into a building index; catch-up runs refresh what it was built with
+async function markIndexBuilt(db, indexName, embedder) {
+  await db.collection(INDEX_COLLECTION).updateOne({ _id: indexName, status: { $in: ['building', 'ready'] } }, {
+    $set: {
+      status: 'ready',
+      model: embedder.model,
+      dimension: embedder.dimension,
+      template_versions: templateVersions(),
+      built_at: new Date(),
+    },
+  });
+}
+
+async function collectionExists(db, name) {
+  return db.listCollections({ name }, { nameOnly: true }).hasNext();
+}
+
+// The switch an interrupted promotion or rollback left behind, or null
+async function getPendingSwitch(db) {
+  const alias = await db.collection(ALIAS_COLLECTION).findOne({ _id: 'live' });
+  return alias?.switching ?? null;
+}
+
+// ------------------------------------------------------------------
+// Point the alias at another index and swap the state collections with
+// it. The swap takes several renames, so it is first recorded on the
+// alias as switching, and every rename is recorded once done. Run again
+// after a crash, it skips what was done and carries on; the alias moves
+// and the marker goes in one write at the very end, so readers see
+// either index, never a half switch.
+// ------------------------------------------------------------------
+async function switchLiveIndex(db, fromIndex, toIndex) {
+  const aliases = db.collection(ALIAS_COLLECTION);
+  const pending = await getPendingSwitch(db);
+  if (pending && (pending.from !== fromIndex || pending.to !== toIndex)) {
+    throw new Error(`The switch from ${pending.from} to ${pending.to} was interrupted, finish it first`);
+  }
+  if (!pending) {
+    await aliases.updateOne(
+      { _id: 'live' },
+      { $set: { switching: { from: fromIndex, to: toIndex, done: [], started_at: new Date() } } },
+      { upsert: true }
+    );
+  }
+
+  const done = new Set(pending?.done ?? []);
+  for (const collection of STATE_COLLECTIONS) {
+    await renameStep(db, done, `${collection}:out`, collection, stateCollectionName(collection, fromIndex));
+    await renameStep(db, done, `${collection}:in`, stateCollectionName(collection, toIndex), collection);
+  }
+
+  const now = new Date();
+  await db.collection(INDEX_COLLECTION).updateOne({ _id: fromIndex }, { $set: { status: 'retired', retired_at: now } });
+  await db.collection(INDEX_COLLECTION).updateOne({ _id: toIndex }, { $set: { status: 'live', promoted_at: now } });
+  await aliases.updateOne(
+    { _id: 'live' },
+    { $set: { index: toIndex, previous: fromIndex, switched_at: now }, $unset: { switching: '' } }
+  );
+}
+
+// One rename of a switch, unless already recorded. A crash between the
+// rename and its record leaves the source gone, so the retry skips it;
+// the live state moves out before the other index's moves in, so the
+// plain name never holds the new state while "out" is still to do.
+async function renameStep(db, done, step, from, to) {
+  if (done.has(step)) return;
+  if (await collectionExists(db, from)) {
+    await db.renameCollection(from, to, { dropTarget: true });
+  }
+  await db.collection(ALIAS_COLLECTION).updateOne({ _id: 'live' }, { $push: { 'switching.done': step } });
+}
+
+// Finish an interrupted promotion or rollback, if there is one
+async function resumeSwitch(db) {
+  const pending = await getPendingSwitch(db);
+  if (!pending) return null;
+  console.warn(`⚠️ Finishing the interrupted switch from ${pending.from} to ${pending.to}`);
+  await switchLiveIndex(db, pending.from, pending.to);
+  return { from: pending.from, to: pending.to };
+}
+
+// Make a built and validated index live; force skips the validation check.
+// An interrupted switch is finished instead, run again for another one.
+async function promoteIndex(db, indexName, configuredName, { force = false } = {}) {
+  const resumed = await resumeSwitch(db);
+  if (resumed) return resumed;
+
+  const record = await getIndexRecord(db, indexName);
+  if (!record) throw new Error(`No index named ${indexName}, see --list-indexes`);
+  const live = await getLiveIndexName(db, configuredName);
+  if (live === indexName) throw new Error(`${indexName} is already live`);
+  if (!['ready', 'retired'].includes(record.status)) {
+    throw new Error(`${indexName} is ${record.status}, only ready or retired indexes can be promoted`);
+  }
+  if (!force && !record.validation?.passed) {
+    throw new Error(`${indexName} has not passed validation, run --validate-index first (or pass --force)`);
+  }
+
+  await switchLiveIndex(db, live, indexName);
+  return { from: live, to: indexName };
+}
+
+// Go back to the index that was live before the last switch, or finish
+// an interrupted switch (see promoteIndex)
+async function rollbackIndex(db) {
+  const resumed = await resumeSwitch(db);
+  if (resumed) return resumed;
+
+  const alias = await db.collection(ALIAS_COLLECTION).findOne({ _id: 'live' });
+  if (!alias?.previous) throw new Error('Nothing to roll back to, no index was promoted yet');
+  const previous = await getIndexRecord(db, alias.previous);
+  if (!previous) throw new Error(`Previous index ${alias.previous} is no longer recorded`);
+
+  const { index: from, previous: to } = alias;
+  await switchLiveIndex(db, from, to);
+  return { from, to };
+}
+
+// IDs of the topK items most similar to id, leaving out id itself
+async function neighbours(vectorStore, id, topK) {
+  const res = await vectorStore.query({ id, topK: topK + 1 });
+  return (res.matches || []).filter(match => match.id !== id).slice(0, topK).map(match => match.id);
+}
+
+// ------------------------------------------------------------------
+// Compare a candidate index with the live one on sampled documents: the
+// overlap of their top-k similar items, and documents the candidate is
+// missing. The result is stored on the candidate's record.
+// ------------------------------------------------------------------
+async function validateIndex(ctx, indexName, { collections, samples = 20, topK = 10, minOverlap = 0.5 }) {
+  const { mongo, liveStore, candidateStore } = ctx;
+  const db = mongo.db();
+  const record = await getIndexRecord(db, indexName);
+  if (!record) throw new Error(`No index named ${indexName}, see --list-indexes`);
+  if (liveStore.indexName === indexName) throw new Error(`${indexName} is the live index, nothing to compare with`);
+
+  console.log(`🔬 Comparing ${indexName} with the live index ${liveStore.indexName} (top ${topK}, ${samples} samples per collection)`);
+  const perCollection = {};
+  let sampled = 0;
+  let missing = 0;
+  let overlapSum = 0;
+
+  for (const [coll] of collections) {
+    const docs = await db.collection(coll).aggregate([{ $sample: { size: samples } }, { $project: { _id: 1 } }]).toArray();
+    const stats = { sampled: 0, missing: 0, overlap: 0 };
+
+    for (const doc of docs) {
+      const id = doc._id.toString();
+      const before = await neighbours(liveStore, id, topK);
+      // Documents the live index doesn't have either say nothing about the candidate
+      if (before.length === 0) continue;
+
+      const after = await neighbours(candidateStore, id, topK);
+      stats.sampled++;
+      if (after.length === 0) {
+        stats.missing++;
+        continue;
+      }
+      const shared = after.filter(match => before.includes(match)).length;
+      stats.overlap += shared / Math.max(before.length, after.length);
+    }
+
+    sampled += stats.sampled;
+    missing += stats.missing;
+    overlapSum += stats.overlap;
+    const compared = stats.sampled - stats.missing;
+    perCollection[coll] = { ...stats, overlap: compared ? round(stats.overlap / compared) : null };
+  }
+
+  const compared = sampled - missing;
+  const overlap = compared ? round(overlapSum / compared) : 0;
+  const validation = {
+    against: liveStore.indexName,
+    top_k: topK,
+    sampled,
+    missing,
+    overlap,
+    min_overlap: minOverlap,
+    passed: compared > 0 && missing === 0 && overlap >= minOverlap,
+    collections: perCollection,
+    validated_at: new Date(),
+  };
+  await db.collection(INDEX_COLLECTION).updateOne({ _id: indexName }, { $set: { validation } });
+  return validation;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export {
+  INDEX_COLLECTION,
+  ALIAS_COLLECTION,
+  STATE_COLLECTIONS,
+  getLiveIndexName,
+  getIndexRecord,
+  getPendingSwitch,
+  listIndexes,
+  scopeMongoToIndex,
+  createIndexVersion,
+  markIndexBuilt,
+  promoteIndex,
+  rollbackIndex,
+  validateIndex,
+};
@@ -0,0 +1,369 @@
+import { ObjectId } from 'mongodb';
+import { buildTextWithinBudget } from './buildText.js';
+import { getTemplate } from './templates.js';
+import { buildMetadata } from './metadata.js';
+import { sleep, withRetry, withSplitOnBadInput, isFatalError } from './retry.js';
+import { countDocuments, countEmbedding } from './metrics.js';
+import { contentHash, classifyDocuments, saveHashes } from './contentHash.js';
+import { loadCheckpoint, saveCheckpoint, clearCheckpoint } from './checkpoints.js';
+import { recordDeadLetters, clearDeadLetters } from './deadLetters.js';
+import { packByTokens } from './tokens.js';
+
+// Everything ingestion needs to know about one source document. Its inputs
+// are the texts to embed: the combined text for the default namespace and
+// one per template facet, each in the namespace named after the facet.
+function toDocument(doc, collName, contentType, embedder) {
+  const template = getTemplate(collName);
+  const id = doc._id.toString();
+  const inputs = [{ namespace: '', ...buildTextWithinBudget(doc, collName, embedder.maxInputTokens) }];
+  for (const facet of Object.keys(template.facets || {})) {
+    inputs.push({ namespace: facet, ...buildTextWithinBudget(doc, collName, embedder.maxInputTokens, { facet }) });
+  }
+
+  const truncated = inputs.flatMap(input => input.truncated.map(part => input.namespace ? `${input.namespace}.${part}` : part));
+  if (truncated.length > 0) {
+    const [main] = inputs;
+    console.log(`✂️ [${contentType}] ${id} truncated from ${main.originalTokens} to ${main.tokens} tokens (${truncated.join(', ')})`);
+  }
+
+  for (const input of inputs) {
+    input.hash = contentHash(input.text, embedder.model);
+    // A facet with nothing in it (a game without credits) gets no vector
+    input.empty = input.namespace !== '' && input.text.trim() === '';
+  }
+
+  // The template version tells which vectors were built from an older template
+  const templateVersion = template.version;
+  return {
+    id,
+    text: inputs[0].text,
+    inputs,
+    tokens: inputs.reduce((sum, input) => sum + (input.empty ? 0 : input.tokens), 0),
+    truncated,
+    templateVersion,
+    // Without facets this is the hash of the combined text, as before
+    hash: inputs.length === 1 ? inputs[0].hash : contentHash(inputs.map(input => input.hash).join('\n'), embedder.model),
+    metadata: { ...buildMetadata(doc, contentType), template_version: templateVersion }
+  };
+}
+
+// Restrict a run to specific IDs and/or recently updated documents
+function buildFilter({ ids, since }) {
+  const conditions = [];
+  if (ids?.length) {
+    // IDs may be stored as ObjectIds or plain strings, match both
+    const values = ids.flatMap(id => ObjectId.isValid(id) && String(id).length === 24 ? [new ObjectId(id), id] : [id]);
+    conditions.push({ _id: { $in: values } });
+  }
+  if (since) {
+    conditions.push({ $or: [{ updated_at: { $gte: since } }, { created_at: { $gte: since } }] });
+  }
+  if (conditions.length === 0) return {};
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+// Documents read per page; embedding requests are packed by tokens in processBatch
+const BATCH_SIZE = 100;
+// Attempts per page before its documents go to the dead-letter queue
+const MAX_BATCH_ATTEMPTS = 5;
+
+// ------------------------------------------------------------------------
+// Ingest one MongoDB collection into the vector store. Pages are read in
+// _id order while up to `concurrency` earlier pages are being embedded and
+// upserted; the shared rate limiters decide how fast those go. The
+// checkpoint only moves past a page once every page before it is written.
+// ------------------------------------------------------------------------
+async function ingestCollection(ctx, collName, contentType, options = {}) {
+  const { fromScratch = false, ids = null, since = null, limit = null, dryRun = false, concurrency = 4 } = options;
+  const { mongo, embedder } = ctx;
+  console.log(`📂 Starting ${dryRun ? 'dry run' : 'ingestion'} for collection: ${collName}`);
+  const db = mongo.db();
+  const collection = db.collection(collName);
+  let processed = 0;
+  let written = 0;
+  let lastId = null;
+  const stats = { added: 0, changed: 0, unchanged: 0, failed: 0, errors: 0, tokens: 0, truncated: 0 };
+
+  // Partial runs must not move the checkpoint of the full monthly run
+  const filter = buildFilter({ ids, since });
+  const useCheckpoint = !(ids?.length || since || limit || dryRun);
+
+  // Pages in read order; the checkpoint advances over the finished ones at the front
+  const pages = [];
+  const inFlight = new Set();
+  let fatalError = null;
+  let checkpointSaves = Promise.resolve();
+  const commitFinishedPages = () => {
+    let committed = null;
+    while (pages.length > 0 && pages[0].done) committed = pages.shift().lastId;
+    if (committed !== null && useCheckpoint) {
+      checkpointSaves = checkpointSaves.then(() => saveCheckpoint(db, collName, committed));
+    }
+  };
+
+  try {
+    // Get total count for progress tracking
+    const matching = await collection.countDocuments(filter);
+    const totalDocuments = limit ? Math.min(limit, matching) : matching;
+    console.log(`📊 Total documents to process: ${totalDocuments}`);
+
+    // Resume after the last committed batch unless asked to start over
+    if (fromScratch) {
+      await clearCheckpoint(db, collName);
+    } else if (useCheckpoint) {
+      lastId = await loadCheckpoint(db, collName);
+      if (lastId !== null) {
+        processed = await collection.countDocuments({ _id: { $lte: lastId } });
+        written = processed;
+        console.log(`⏩ Resuming ${collName} after _id ${lastId} (${processed} documents already done)`);
+      }
+    }
+
+    let batchNum = 0;
+
+    while (!fatalError) {
+      if (limit && processed >= limit) break;
+      batchNum++;
+      console.log(`🔄 Reading batch #${batchNum} (after _id ${lastId ?? 'start'}, ${inFlight.size} in flight)`);
+
+      // Page by _id so the cost stays flat and concurrent inserts or
+      // deletes don't shift the window
+      let batch;
+      try {
+        batch = await withRetry(async () => {
+          return await collection.find(lastId === null ? filter : { $and: [filter, { _id: { $gt: lastId } }] })
+            .sort({ _id: 1 })
+            .limit(limit ? Math.min(BATCH_SIZE, limit - processed) : BATCH_SIZE)
+            .toArray();
+        }, 3);
+      } catch (err) {
+        if (isFatalError(err)) throw err;
+        console.error(`⚠️ Error fetching batch #${batchNum}, will retry:`, err.message || err);
+        batchNum--;
+        await sleep(5000); // Wait before retrying
+        continue;
+      }
+
+      if (batch.length === 0) break;
+
+      const documents = batch.map(doc => toDocument(doc, collName, contentType, embedder));
+      const batchTruncated = documents.filter(doc => doc.truncated.length > 0).length;
+
+      // Only new or edited documents need to be embedded again
+      const { added, changed, unchanged } = await classifyDocuments(db, documents);
+      lastId = batch[batch.length - 1]._id;
+      processed += batch.length;
+      stats.truncated += batchTruncated;
+
+      // Show what would be embedded without touching the embedder or vector store
+      if (dryRun) {
+        for (const doc of documents) {
+          const status = added.includes(doc) ? 'new' : changed.includes(doc) ? 'changed' : 'unchanged';
+          stats.tokens += status === 'unchanged' ? 0 : doc.tokens;
+          console.log(`\n📝 [${contentType}] ${doc.id} (${status}, ${doc.tokens} tokens)\n${doc.text}`);
+          for (const input of doc.inputs.slice(1)) {
+            console.log(`  ${input.namespace}: ${input.empty ? '(empty, no vector)' : input.text}`);
+          }
+        }
+        stats.added += added.length;
+        stats.changed += changed.length;
+        stats.unchanged += unchanged.length;
+        countDocuments(collName, { added: added.length, changed: changed.length, skipped: unchanged.length, truncated: batchTruncated });
+        continue;
+      }
+
+      const page = { num: batchNum, batch, added, changed, unchanged, truncated: batchTruncated, lastId, done: false };
+      pages.push(page);
+
+      const task = writePage(ctx, collName, contentType, page, stats)
+        .then(() => {
+          page.done = true;
+          written += batch.length;
+          commitFinishedPages();
+          console.log(`🔄 [${contentType}] Progress: ${written}/${totalDocuments} (${Math.round(written / totalDocuments * 100)}%)`);
+        })
+        .catch(err => {
+          // The page stays unfinished, so the checkpoint never moves past it
+          if (isFatalError(err)) {
+            fatalError ??= err;
+            return;
+          }
+          stats.errors++;
+          console.error(`❌ Batch #${page.num} could not be written or dead-lettered:`, err.message || err);
+        })
+        .finally(() => inFlight.delete(task));
+      inFlight.add(task);
+
+      // Keep reading while there is room in the pipeline
+      if (inFlight.size >= concurrency) await Promise.race(inFlight);
+    }
+
+    await Promise.all(inFlight);
+    await checkpointSaves;
+    if (fatalError) throw fatalError;
+
+    // A clean finish restarts the next full run from the beginning
+    if (pages.length === 0) {
+      console.log(`✅ All documents processed for ${collName}`);
+      if (useCheckpoint) await clearCheckpoint(db, collName);
+    }
+
+    console.log(`🎉 Completed ${dryRun ? 'dry run' : 'ingestion'} for ${collName}: ${processed} documents processed ` +
+      `(${stats.added} new, ${stats.changed} changed, ${stats.unchanged} unchanged, ${stats.failed} failed, ${stats.truncated} truncated)`);
+    console.log(`🧮 [${contentType}] ${stats.tokens} tokens ${dryRun ? 'would be embedded' : 'embedded'}`);
+  } catch (err) {
+    await Promise.allSettled(inFlight);
+    // Bad credentials and the like stop the whole run, not just this collection
+    if (isFatalError(err)) throw err;
+    stats.errors++;
+    console.error(`❌ Error ingesting ${collName}:`, err);
+    console.log(`🔄 Will continue with remaining collections`);
+  }
+
+  return stats;
+}
+
+// Embed and upsert the new and changed documents of one page, retrying the
+// whole page a few times before moving its documents to the dead-letter
+// queue. Rejected documents go there right away, the rest of the page is
+// still written. Fatal errors (bad credentials) are thrown to stop the run.
+async function writePage(ctx, collName, contentType, page, stats) {
+  const { mongo, embedder } = ctx;
+  const db = mongo.db();
+  const { num, batch, added, changed, unchanged, truncated } = page;
+  const toEmbed = [...added, ...changed];
+  let rejected = new Set();
+
+  if (toEmbed.length === 0) {
+    console.log(`⏭ Batch #${num} unchanged, skipping embeddings`);
+  }
+
+  for (let attempt = 1; toEmbed.length > 0; attempt++) {
+    try {
+      const result = await processBatch(toEmbed, ctx, contentType);
+      rejected = new Set(result.rejected.map(({ doc }) => doc));
+      const written = toEmbed.filter(doc => !rejected.has(doc));
+
+      await saveHashes(db, written, contentType, embedder.model);
+      await clearDeadLetters(db, collName, written.map(doc => doc.id));
+      for (const { doc, error } of result.rejected) {
+        await recordDeadLetters(db, collName, contentType, batch.filter(raw => raw._id.toString() === doc.id), error, attempt);
+      }
+      break;
+    } catch (err) {
+      if (isFatalError(err)) throw err;
+      console.error(`❌ Failed to process batch #${num} (attempt ${attempt}):`, err.message || err);
+
+      if (attempt >= MAX_BATCH_ATTEMPTS) {
+        console.error(`⛔ Too many failed attempts on batch #${num}, moving it to the dead-letter queue`);
+        const embedIds = new Set(toEmbed.map(doc => doc.id));
+        const deadDocs = batch.filter(doc => embedIds.has(doc._id.toString()));
+        await recordDeadLetters(db, collName, contentType, deadDocs, err, attempt);
+        stats.failed += deadDocs.length;
+        stats.unchanged += unchanged.length;
+        countDocuments(collName, { failed: deadDocs.length, skipped: unchanged.length, truncated });
+        return;
+      }
+
+      // Wait longer between failed attempts
+      await sleep(5000 * attempt);
+    }
+  }
+
+  const addedOk = added.filter(doc => !rejected.has(doc));
+  const changedOk = changed.filter(doc => !rejected.has(doc));
+  stats.added += addedOk.length;
+  stats.changed += changedOk.length;
+  stats.unchanged += unchanged.length;
+  stats.failed += rejected.size;
+  stats.tokens += [...addedOk, ...changedOk].reduce((sum, doc) => sum + doc.tokens, 0);
+  countDocuments(collName, {
+    added: addedOk.length,
+    changed: changedOk.length,
+    skipped: unchanged.length,
+    failed: rejected.size,
+    truncated,
+  });
+}
+
+// Embed documents (cache first) and upsert them within the shared rate limits,
+// every input into its own namespace. Documents the embedder or vector store
+// reject are left out of the batch and returned as rejected: [{ doc, error }];
+// other errors are thrown.
+async function processBatch(documents, { embedder, vectorStore, embeddingCache = null, limiters = null }, contentType) {
+  const inputs = documents.flatMap(doc => doc.inputs.filter(input => !input.empty).map(input => ({ ...input, doc })));
+
+  // Reuse embeddings of identical texts from earlier runs or failed attempts
+  const embeddings = embeddingCache
+    ? await embeddingCache.getMany(inputs.map(input => input.hash))
+    : new Map();
+  const misses = inputs.filter(input => !embeddings.has(input.hash));
+  if (embeddings.size > 0) {
+    console.log(`♻️ ${inputs.length - misses.length} embeddings from cache`);
+  }
+  countEmbedding({ cacheHits: inputs.length - misses.length });
+
+  console.log(`🔄 Getting embeddings for ${misses.length} texts of ${documents.length} documents`);
+
+  // Pack requests by total tokens so long documents don't overflow a request
+  const embed = async request => {
+    const tokens = request.reduce((sum, input) => sum + input.tokens, 0);
+    const vectors = await withRetry(async () => {
+      await limiters?.embedding.acquire({ requests: 1, tokens });
+      return await embedder.embed(request.map(input => input.text));
+    });
+    request.forEach((input, i) => embeddings.set(input.hash, vectors[i]));
+    countEmbedding({ tokens });
+
+    // Cache right away so a failed upsert doesn't pay for these again
+    if (embeddingCache) {
+      await embeddingCache.putMany(request.map((input, i) => ({ key: input.hash, model: embedder.model, vector: vectors[i] })));
+    }
+  };
+  const rejected = [];
+  for (const request of packByTokens(misses, { maxTokens: embedder.maxBatchTokens, maxItems: embedder.maxBatchSize })) {
+    await withSplitOnBadInput(request, embed, rejected);
+  }
+
+  // A document with any rejected text is rejected as a whole
+  const notEmbedded = new Set(rejected.map(({ item }) => item.doc));
+  const embedded = inputs.filter(input => embeddings.has(input.hash) && !notEmbedded.has(input.doc));
+
+  console.log(`🚀 Upserting batch of ${embedded.length} vectors`);
+  for (const namespace of new Set(embedded.map(input => input.namespace))) {
+    const store = namespace ? vectorStore.namespace(namespace) : vectorStore;
+    const upsert = async batch => {
+      const vectors = batch.map(input => ({
+        id: input.doc.id,
+        values: embeddings.get(input.hash),
+        metadata: input.doc.metadata || { type: contentType }
+      }));
+      await withRetry(async () => {
+        await limiters?.vectorWrites.acquire({ requests: 1 });
+        await store.upsert(vectors);
+      });
+    };
+    await withSplitOnBadInput(embedded.filter(input => input.namespace === namespace), upsert, rejected);
+  }
+
+  // Facets that became empty must not keep the vector of an older version
+  const skipped = new Set(rejected.map(({ item }) => item.doc));
+  const emptied = documents.flatMap(doc => skipped.has(doc) ? [] : doc.inputs.filter(input => input.empty).map(input => [input.namespace, doc.id]));
+  for (const namespace of new Set(emptied.map(([name]) => name))) {
+    const ids = emptied.filter(([name]) => name === namespace).map(([, id]) => id);
+    await withRetry(async () => {
+      await limiters?.vectorWrites.acquire({ requests: 1 });
+      await vectorStore.namespace(namespace).deleteMany(ids);
+    });
+  }
+  console.log(`✅ Batch upserted successfully`);
+
+  const errors = new Map();
+  for (const { item, error } of rejected) {
+    console.error(`🚫 [${contentType}] ${item.doc.id}${item.namespace ? ` (${item.namespace})` : ''} rejected:`, error.message || error);
+    if (!errors.has(item.doc)) errors.set(item.doc, error);
+  }
+  return { rejected: [...errors].map(([doc, error]) => ({ doc, error })) };
+}
+
+export { ingestCollection, processBatch, toDocument, buildFilter };
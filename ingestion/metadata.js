@@ -0,0 +1,99 @@
+import { getContentType } from '../config/contentTypes.js';
+import { adjustedScore } from './score.js';
+import { resolvePath } from './templates.js';
+
+// Pinecone rejects vectors whose metadata exceeds 40KB, so lists and strings
+// are capped well below that and the whole object is checked once more
+const MAX_METADATA_BYTES = 40 * 1024;
+const MAX_LIST_VALUES = 20;
+const MAX_VALUE_LENGTH = 100;
+
+// ------------------------------------------------------------------
+// Metadata schema stored with every vector (missing fields are omitted,
+// Pinecone does not accept null values):
+//
+//   type              string    content type tag from config/contentTypes.js (all types)
+//   genres            string[]  genre names (all types)
+//   year              number    release year (all types)
+//   score             number    0-10, adjustedScore (ingestion/score.js), metacritic / 10 for games;
+//                               omitted for unscored items (all types)
+//   platforms         string[]  game platforms (game)
+//   studios           string[]  anime studios (anime)
+//   demographics      string[]  demographics (anime, manga)
+//   networks          string[]  TV networks (tvseries)
+//   authors           string[]  authors (manga, book)
+//   template_version  number    embedding template version (all types, set by ingestion)
+//
+// Which fields a type gets, and where they come from, is declared in the
+// metadata section of its registry entry.
+// ------------------------------------------------------------------
+function buildMetadata(doc, contentType) {
+  const spec = getContentType(contentType).metadata;
+  const metadata = { type: contentType };
+
+  for (const [key, path] of Object.entries(spec.lists || {})) {
+    metadata[key] = strings(resolvePath(doc, path));
+  }
+  metadata.year = extractYear(...(spec.year || []).map(path => resolvePath(doc, path)));
+  metadata.score = buildScore(doc, spec.score);
+
+  return fitMetadata(metadata);
+}
+
+// Either a plain field, or an average and vote count that go through
+// adjustedScore. scale brings both to 0-10 (5-star ratings, metacritic's
+// 0-100). Items without a score or votes get none, so a score filter skips
+// them instead of matching a made-up middle score.
+function buildScore(doc, score) {
+  if (!score) return undefined;
+  if (score.field) {
+    const value = resolvePath(doc, score.field);
+    return value ? round(value * (score.scale || 1)) : undefined;
+  }
+  const average = resolvePath(doc, score.average);
+  const votes = resolvePath(doc, score.votes);
+  if (!average || !votes) return undefined;
+  return round(adjustedScore(average * (score.scale || 1), votes));
+}
+
+function strings(items) {
+  return (Array.isArray(items) ? items : [items])
+    .filter(value => typeof value === 'string' && value.length > 0)
+    .map(value => value.slice(0, MAX_VALUE_LENGTH))
+    .slice(0, MAX_LIST_VALUES);
+}
+
+// Accepts Date objects, ISO strings or plain years, returns the first usable year
+function extractYear(...values) {
+  for (const value of values) {
+    if (!value) continue;
+    const year = value instanceof Date ? value.getUTCFullYear() : parseInt(String(value).slice(0, 4), 10);
+    if (Number.isInteger(year) && year > 1800) return year;
+  }
+  return undefined;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Drop empty fields and shrink lists until the metadata fits Pinecone's limit
+function fitMetadata(metadata) {
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+      delete metadata[key];
+    }
+  }
+
+  while (Buffer.byteLength(JSON.stringify(metadata)) > MAX_METADATA_BYTES) {
+    const longest = Object.keys(metadata)
+      .filter(key => Array.isArray(metadata[key]) && metadata[key].length > 0)
+      .sort((a, b) => metadata[b].length - metadata[a].length)[0];
+    if (!longest) break;
+    metadata[longest] = metadata[longest].slice(0, -1);
+  }
+
+  return metadata;
+}
+
+export { buildMetadata, MAX_METADATA_BYTES };
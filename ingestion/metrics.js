@@ -0,0 +1,134 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// ------------------------------------------------------------------
+// Live counters of the current run, read by the run report and the
+// metrics endpoint. main() handles one run per process, so they are
+// module state like the active embedding templates. Collections can
+// run side by side, so counts made inside runInCollection() go to
+// that collection.
+//
+// Per collection (snake_case, they are stored as-is in run reports):
+//
+//   processed           documents embedded or written (added + changed)
+//   added, changed      new and edited documents
+//   skipped             unchanged documents
+//   failed              documents moved to the dead-letter queue
+//   truncated           documents whose text was trimmed
+//   tokens              tokens sent to the embedding provider
+//   cache_hits          embeddings reused from the cache
+//   retries             retried API calls
+//   rate_limit_waits    retries caused by rate limits
+//   rate_limit_wait_ms  time spent waiting on rate limits
+//   throttle_waits      calls held back by our own rate limiters
+//   throttle_wait_ms    time spent held back
+//
+// Retries and throttling outside a collection (listing the index when
+// reconciling) only count towards the run totals.
+// ------------------------------------------------------------------
+const COUNTERS = [
+  'processed', 'added', 'changed', 'skipped', 'failed', 'truncated',
+  'tokens', 'cache_hits', 'retries', 'rate_limit_waits', 'rate_limit_wait_ms',
+  'throttle_waits', 'throttle_wait_ms',
+];
+
+const collectionContext = new AsyncLocalStorage();
+let run = emptyRun();
+
+function emptyRun() {
+  return {
+    started_at: new Date(),
+    collections: {},
+    retries: 0,
+    rate_limit_waits: 0,
+    rate_limit_wait_ms: 0,
+    throttle_waits: 0,
+    throttle_wait_ms: 0,
+  };
+}
+
+function resetMetrics() {
+  run = emptyRun();
+}
+
+function collectionMetrics(collName) {
+  return run.collections[collName] ??= {
+    ...Object.fromEntries(COUNTERS.map(key => [key, 0])),
+    status: 'pending',
+    started_at: null,
+    duration_ms: 0,
+  };
+}
+
+function startCollection(collName) {
+  const metrics = collectionMetrics(collName);
+  metrics.status = 'running';
+  metrics.started_at = new Date();
+}
+
+// Retries, embeddings and throttling inside fn count towards collName
+function runInCollection(collName, fn) {
+  return collectionContext.run(collName, fn);
+}
+
+// Run totals plus the counters of the collection we are in, if any
+function countTargets() {
+  const collName = collectionContext.getStore();
+  return collName ? [run, collectionMetrics(collName)] : [run];
+}
+
+// status: done | failed (documents in the dead-letter queue) | error (the collection aborted)
+function finishCollection(collName, status = 'done') {
+  const metrics = collectionMetrics(collName);
+  metrics.status = status;
+  metrics.duration_ms = Date.now() - metrics.started_at.getTime();
+}
+
+// Add counts, e.g. { added: 3, skipped: 97 }; added and changed also count as processed
+function countDocuments(collName, counts) {
+  const metrics = collectionMetrics(collName);
+  for (const [key, value] of Object.entries(counts)) {
+    metrics[key] += value || 0;
+  }
+  metrics.processed += (counts.added || 0) + (counts.changed || 0);
+}
+
+function countEmbedding({ tokens = 0, cacheHits = 0 }) {
+  const collName = collectionContext.getStore();
+  if (!collName) return;
+  const metrics = collectionMetrics(collName);
+  metrics.tokens += tokens;
+  metrics.cache_hits += cacheHits;
+}
+
+function countRetry({ rateLimited = false, waitMs = 0 } = {}) {
+  for (const target of countTargets()) {
+    target.retries++;
+    if (rateLimited) {
+      target.rate_limit_waits++;
+      target.rate_limit_wait_ms += waitMs;
+    }
+  }
+}
+
+function countThrottle(waitMs) {
+  for (const target of countTargets()) {
+    target.throttle_waits++;
+    target.throttle_wait_ms += waitMs;
+  }
+}
+
+function getMetrics() {
+  return run;
+}
+
+export {
+  resetMetrics,
+  startCollection,
+  finishCollection,
+  runInCollection,
+  countDocuments,
+  countEmbedding,
+  countRetry,
+  countThrottle,
+  getMetrics,
+};
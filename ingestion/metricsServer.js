@@ -0,0 +1,66 @@
+import http from 'http';
+import { getMetrics } from './metrics.js';
+import { buildReport } from './runReports.js';
+
+// Collection counters exported as <name>{collection="..."}
+const COLLECTION_METRICS = [
+  ['ingestion_documents_processed_total', 'counter', 'Documents embedded or written', c => c.processed],
+  ['ingestion_documents_skipped_total', 'counter', 'Unchanged documents skipped', c => c.skipped],
+  ['ingestion_documents_failed_total', 'counter', 'Documents moved to the dead-letter queue', c => c.failed],
+  ['ingestion_documents_truncated_total', 'counter', 'Documents whose embedding text was trimmed', c => c.truncated],
+  ['ingestion_embedded_tokens_total', 'counter', 'Tokens sent to the embedding provider', c => c.tokens],
+  ['ingestion_embedding_cache_hits_total', 'counter', 'Embeddings reused from the cache', c => c.cache_hits],
+  ['ingestion_estimated_cost_usd_total', 'counter', 'Estimated embedding cost in USD', c => c.cost_usd],
+  ['ingestion_collection_running', 'gauge', 'Whether the collection is being processed', c => c.status === 'running' ? 1 : 0],
+  ['ingestion_collection_duration_seconds', 'gauge', 'Time spent on the collection so far',
+    c => (c.status === 'running' ? Date.now() - c.started_at.getTime() : c.duration_ms) / 1000],
+];
+
+// Prometheus text exposition format
+function formatMetrics(metrics, pricePerMillionTokens) {
+  const { collections } = buildReport(metrics, pricePerMillionTokens);
+  const lines = [];
+  const declare = (name, type, help) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+  for (const [name, type, help, value] of COLLECTION_METRICS) {
+    declare(name, type, help);
+    for (const [coll, counters] of Object.entries(collections)) {
+      lines.push(`${name}{collection="${coll}"} ${value(counters)}`);
+    }
+  }
+
+  declare('ingestion_retries_total', 'counter', 'Retried API calls');
+  lines.push(`ingestion_retries_total ${metrics.retries}`);
+  declare('ingestion_rate_limit_waits_total', 'counter', 'Retries caused by rate limits');
+  lines.push(`ingestion_rate_limit_waits_total ${metrics.rate_limit_waits}`);
+  declare('ingestion_rate_limit_wait_seconds_total', 'counter', 'Time spent waiting on rate limits');
+  lines.push(`ingestion_rate_limit_wait_seconds_total ${metrics.rate_limit_wait_ms / 1000}`);
+  declare('ingestion_throttle_wait_seconds_total', 'counter', 'Time spent held back by our own rate limiters');
+  lines.push(`ingestion_throttle_wait_seconds_total ${metrics.throttle_wait_ms / 1000}`);
+  declare('ingestion_run_start_time_seconds', 'gauge', 'Start time of the current run');
+  lines.push(`ingestion_run_start_time_seconds ${Math.floor(metrics.started_at.getTime() / 1000)}`);
+
+  return lines.join('\n') + '\n';
+}
+
+// Serve /metrics while the job runs; resolves to the server so main() can close it
+function startMetricsServer(port, { pricePerMillionTokens = 0 } = {}) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+    res.end(formatMetrics(getMetrics(), pricePerMillionTokens));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      console.log(`📈 Metrics available on http://localhost:${port}/metrics`);
+      resolve(server);
+    });
+  });
+}
+
+export { startMetricsServer, formatMetrics };
@@ -0,0 +1,41 @@
+import { buildTextParts, renderPart } from './buildText.js';
+import { getTemplate } from './templates.js';
+import { buildFilter } from './ingestCollection.js';
+import { countTokens } from './tokens.js';
+
+// -------------------------------------------------------------------
+// Render a collection's template against sample documents, part by part
+// -------------------------------------------------------------------
+async function previewTemplate({ mongo }, collName, { ids = null, limit = 3 } = {}) {
+  const template = getTemplate(collName);
+  const collection = mongo.db().collection(collName);
+  console.log(`\n🧩 Template for ${collName} (version ${template.version})`);
+
+  // Specific IDs when given, otherwise a random sample
+  const docs = ids?.length
+    ? await collection.find(buildFilter({ ids })).limit(limit).toArray()
+    : await collection.aggregate([{ $sample: { size: limit } }]).toArray();
+
+  // The combined text, then each facet's text
+  for (const doc of docs) {
+    for (const facet of [null, ...Object.keys(template.facets || {})]) {
+      const parts = buildTextParts(doc, collName, undefined, facet);
+      const text = parts.map(renderPart).join('');
+      console.log(`\n📝 ${doc._id}${facet ? ` [${facet}]` : ''} (${countTokens(text)} tokens)`);
+      console.table(parts.map(p => {
+        const rendered = renderPart(p);
+        return {
+          part: p.name,
+          tokens: countTokens(rendered),
+          trimOrder: p.trimOrder ?? '-',
+          text: rendered.length > 80 ? `${rendered.slice(0, 77)}...` : rendered,
+        };
+      }));
+      console.log(text);
+    }
+  }
+
+  return docs.length;
+}
+
+export { previewTemplate };
@@ -0,0 +1,63 @@
+import { sleep } from './retry.js';
+import { countThrottle } from './metrics.js';
+
+// A bucket holds this many seconds of its quota, so a quiet spell
+// allows a short burst without going over the per-minute limit
+const BURST_SECONDS = 10;
+
+function createBucket(perMinute) {
+  const perMs = perMinute / 60000;
+  const capacity = Math.max(1, perMs * BURST_SECONDS * 1000);
+  let available = capacity;
+  let updatedAt = Date.now();
+
+  return {
+    // Milliseconds until amount can be taken. Amounts larger than the
+    // bucket wait for a full bucket and leave it in debt instead.
+    waitTime(amount) {
+      const now = Date.now();
+      available = Math.min(capacity, available + (now - updatedAt) * perMs);
+      updatedAt = now;
+      const needed = Math.min(amount, capacity);
+      return available >= needed ? 0 : Math.ceil((needed - available) / perMs);
+    },
+    take(amount) {
+      available -= amount;
+    },
+  };
+}
+
+// ------------------------------------------------------------------
+// Token-bucket limiter shared by every batch in flight, so concurrent
+// work uses a quota fully without going over it. limits are per minute,
+// e.g. { requests: 3000, tokens: 1000000 }; missing or infinite limits
+// are not enforced. Callers are served in order, so a large request is
+// not starved by a stream of small ones.
+// ------------------------------------------------------------------
+function createRateLimiter(name, limits = {}) {
+  const buckets = Object.entries(limits)
+    .filter(([, perMinute]) => Number.isFinite(perMinute) && perMinute > 0)
+    .map(([unit, perMinute]) => [unit, createBucket(perMinute)]);
+  let queue = Promise.resolve();
+
+  // Resolves once every bucket has room for cost, e.g. { requests: 1, tokens: 5200 }
+  function acquire(cost = {}) {
+    const turn = queue.then(async () => {
+      const startedAt = Date.now();
+      let wait;
+      while ((wait = Math.max(0, ...buckets.map(([unit, bucket]) => bucket.waitTime(cost[unit] || 0)))) > 0) {
+        await sleep(wait);
+      }
+      for (const [unit, bucket] of buckets) bucket.take(cost[unit] || 0);
+
+      const waited = Date.now() - startedAt;
+      if (waited > 0) countThrottle(waited);
+    });
+    queue = turn;
+    return turn;
+  }
+
+  return { name, limits, acquire };
+}
+
+export { createRateLimiter };
@@ -0,0 +1,128 @@
+import { withRetry, isFatalError } from './retry.js';
+import { processBatch, toDocument } from './ingestCollection.js';
+import { HASH_COLLECTION, saveHashes } from './contentHash.js';
+import { getFacetNames } from './templates.js';
+
+const LIST_PAGE_SIZE = 100;
+const DELETE_CHUNK_SIZE = 1000;
+const EMBED_CHUNK_SIZE = 50;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// -------------------------------------------------------------
+// List every vector ID in the index grouped by its metadata.type
+// -------------------------------------------------------------
+async function listVectorIdsByType(vectorStore) {
+  console.log('📋 Listing vector IDs from the vector store...');
+  const idsByType = new Map();
+  let paginationToken;
+  let total = 0;
+
+  do {
+    const page = await withRetry(async () => {
+      return await vectorStore.listPaginated({ limit: LIST_PAGE_SIZE, paginationToken });
+    });
+    const ids = (page.vectors || []).map(v => v.id);
+
+    // Listing only returns IDs, so fetch the records to read their type
+    if (ids.length > 0) {
+      const fetched = await withRetry(async () => {
+        return await vectorStore.fetch(ids);
+      });
+      for (const id of ids) {
+        const type = fetched.records?.[id]?.metadata?.type || 'unknown';
+        if (!idsByType.has(type)) idsByType.set(type, new Set());
+        idsByType.get(type).add(id);
+      }
+      total += ids.length;
+    }
+
+    paginationToken = page.pagination?.next;
+  } while (paginationToken);
+
+  console.log(`📋 Found ${total} vectors in the vector store`);
+  return idsByType;
+}
+
+// ------------------------------------------------------------------
+// Compare one collection with its vectors, then delete orphan vectors
+// and embed documents missing from the index when apply is set
+// ------------------------------------------------------------------
+async function reconcileCollection(ctx, collName, contentType, vectorIds, { apply = false } = {}) {
+  const { mongo, embedder } = ctx;
+  console.log(`🔍 Reconciling ${collName} with vector type "${contentType}"`);
+  const db = mongo.db();
+  const collection = db.collection(collName);
+
+  // Keep the raw _id so missing documents can be looked up without guessing its BSON type
+  const mongoIds = new Map();
+  for await (const doc of collection.find({}, { projection: { _id: 1 } })) {
+    mongoIds.set(doc._id.toString(), doc._id);
+  }
+
+  const orphans = [...vectorIds].filter(id => !mongoIds.has(id));
+  const missing = [...mongoIds.keys()].filter(id => !vectorIds.has(id));
+
+  console.log(`📊 [${contentType}] ${mongoIds.size} documents, ${vectorIds.size} vectors, ` +
+    `${orphans.length} orphan vectors, ${missing.length} documents missing from the index`);
+
+  if (!apply) {
+    if (orphans.length > 0) console.log(`   Orphans (first 10): ${orphans.slice(0, 10).join(', ')}`);
+    if (missing.length > 0) console.log(`   Missing (first 10): ${missing.slice(0, 10).join(', ')}`);
+    return { orphans: orphans.length, missing: missing.length, deleted: 0, embedded: 0 };
+  }
+
+  const deleted = await deleteVectors(ctx, orphans);
+
+  let embedded = 0;
+  for (const ids of chunk(missing, EMBED_CHUNK_SIZE)) {
+    try {
+      const docs = await collection.find({ _id: { $in: ids.map(id => mongoIds.get(id)) } }).toArray();
+      const documents = docs.map(doc => toDocument(doc, collName, contentType, embedder));
+      if (documents.length === 0) continue;
+
+      const { rejected } = await processBatch(documents, ctx, contentType);
+      const rejectedIds = new Set(rejected.map(({ doc }) => doc.id));
+      const written = documents.filter(doc => !rejectedIds.has(doc.id));
+      await saveHashes(db, written, contentType, embedder.model);
+      embedded += written.length;
+    } catch (err) {
+      if (isFatalError(err)) throw err;
+      console.error(`❌ Failed to embed missing ${contentType} documents:`, err.message || err);
+    }
+  }
+
+  console.log(`✅ [${contentType}] Deleted ${deleted} orphan vectors, embedded ${embedded} missing documents`);
+  return { orphans: orphans.length, missing: missing.length, deleted, embedded };
+}
+
+// Delete vectors, their facet vectors and their stored hashes so a
+// re-added document is embedded again
+async function deleteVectors({ mongo, vectorStore, limiters = null }, ids) {
+  const stores = [vectorStore, ...getFacetNames().map(facet => vectorStore.namespace(facet))];
+  let deleted = 0;
+  for (const idsChunk of chunk(ids, DELETE_CHUNK_SIZE)) {
+    try {
+      for (const store of stores) {
+        await withRetry(async () => {
+          await limiters?.vectorWrites.acquire({ requests: 1 });
+          await store.deleteMany(idsChunk);
+        });
+      }
+      await mongo.db().collection(HASH_COLLECTION).deleteMany({ _id: { $in: idsChunk } });
+      deleted += idsChunk.length;
+    } catch (err) {
+      if (isFatalError(err)) throw err;
+      console.error(`❌ Failed to delete ${idsChunk.length} orphan vectors:`, err.message || err);
+    }
+  }
+  return deleted;
+}
+
+export { listVectorIdsByType, reconcileCollection, deleteVectors };
@@ -0,0 +1,55 @@
+import { processBatch, toDocument } from './ingestCollection.js';
+import { isFatalError } from './retry.js';
+import { saveHashes } from './contentHash.js';
+import { DEAD_LETTER_COLLECTION, recordDeadLetters, clearDeadLetters } from './deadLetters.js';
+
+const REPLAY_BATCH_SIZE = 50;
+
+// -------------------------------------------------------------------
+// Retry only the dead-lettered documents of one collection
+// -------------------------------------------------------------------
+async function replayDeadLetters(ctx, collName, contentType) {
+  const { mongo, embedder } = ctx;
+  const db = mongo.db();
+  const letters = await db.collection(DEAD_LETTER_COLLECTION).find({ collection: collName }).toArray();
+  console.log(`🔁 Replaying ${letters.length} dead-lettered documents from ${collName}`);
+  let replayed = 0;
+  let failed = 0;
+
+  for (let i = 0; i < letters.length; i += REPLAY_BATCH_SIZE) {
+    const chunk = letters.slice(i, i + REPLAY_BATCH_SIZE);
+    const docs = await db.collection(collName).find({ _id: { $in: chunk.map(letter => letter.doc_id) } }).toArray();
+
+    // Documents deleted since they failed have nothing left to embed
+    const found = new Set(docs.map(doc => doc._id.toString()));
+    const gone = chunk.map(letter => letter.doc_id.toString()).filter(id => !found.has(id));
+    await clearDeadLetters(db, collName, gone);
+
+    if (docs.length === 0) continue;
+    const documents = docs.map(doc => toDocument(doc, collName, contentType, embedder));
+
+    try {
+      const { rejected } = await processBatch(documents, ctx, contentType);
+      const rejectedIds = new Set(rejected.map(({ doc }) => doc.id));
+      const written = documents.filter(doc => !rejectedIds.has(doc.id));
+
+      await saveHashes(db, written, contentType, embedder.model);
+      await clearDeadLetters(db, collName, written.map(doc => doc.id));
+      for (const { doc, error } of rejected) {
+        await recordDeadLetters(db, collName, contentType, docs.filter(raw => raw._id.toString() === doc.id), error, 1);
+      }
+      replayed += written.length;
+      failed += rejected.length;
+    } catch (err) {
+      if (isFatalError(err)) throw err;
+      console.error(`❌ Replay failed for ${documents.length} ${contentType} documents:`, err.message || err);
+      await recordDeadLetters(db, collName, contentType, docs, err, 1);
+      failed += documents.length;
+    }
+  }
+
+  console.log(`🎉 Replay finished for ${collName}: ${replayed} recovered, ${failed} still failing`);
+  return { replayed, failed };
+}
+
+export { replayDeadLetters };
@@ -0,0 +1,151 @@
+import { countRetry } from './metrics.js';
+
+// Longest we wait before one retry, whatever the server suggests
+const MAX_WAIT_MS = 120000;
+
+// Helper function to delay execution
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ------------------------------------------------------------------
+// Sort OpenAI, Pinecone and MongoDB errors into what to do with them:
+//
+//   rate_limit  retry after the server's suggested delay
+//   transient   retry with exponential backoff (timeouts, 5xx, network)
+//   bad_input   don't retry; a batch can be split to find the bad input
+//   fatal       stop the run (credentials, quota, missing index, bugs)
+//
+// Unknown errors count as transient, like every error used to.
+// ------------------------------------------------------------------
+function classifyError(error) {
+  const status = errorStatus(error);
+  const name = error?.name || '';
+  const code = error?.code || error?.error?.code || '';
+
+  if (status === 401 || status === 403 || name === 'PineconeAuthorizationError' || code === 'invalid_api_key') {
+    return { kind: 'fatal', reason: 'credentials' };
+  }
+  // OpenAI reports an exhausted account as a 429, but waiting won't help
+  if (code === 'insufficient_quota') return { kind: 'fatal', reason: 'quota' };
+  if (status === 429) return { kind: 'rate_limit', retryAfterMs: retryAfter(error?.headers) };
+
+  if (status === 404 || name === 'PineconeNotFoundError') return { kind: 'fatal', reason: 'not found' };
+  if ([400, 413, 422].includes(status) || name === 'PineconeBadRequestError') return { kind: 'bad_input' };
+  if (status === 408 || status === 409 || status >= 500) return { kind: 'transient' };
+
+  // Programming errors fail the same way on every attempt (a bare fetch
+  // failure is a TypeError too, but a network one)
+  const bug = error instanceof TypeError || error instanceof ReferenceError || error instanceof SyntaxError;
+  if (bug && !/fetch failed/i.test(error.message)) {
+    return { kind: 'fatal', reason: 'bug' };
+  }
+  return { kind: 'transient' };
+}
+
+function isFatalError(error) {
+  return classifyError(error).kind === 'fatal';
+}
+
+// OpenAI errors carry .status; Pinecone only names the status in its message
+function errorStatus(error) {
+  if (Number.isInteger(error?.status)) return error.status;
+  const match = /status(?: code)?:? (\d{3})\b/i.exec(error?.message || '');
+  return match ? Number(match[1]) : null;
+}
+
+function header(headers, name) {
+  if (!headers) return null;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name] ?? null;
+}
+
+// "1s", "6m0s" or "250ms", as in OpenAI's x-ratelimit-reset-* headers
+function parseDuration(value) {
+  if (!value) return null;
+  let ms = 0;
+  for (const [, amount, unit] of String(value).matchAll(/([\d.]+)(ms|s|m|h)/g)) {
+    ms += Number(amount) * { ms: 1, s: 1000, m: 60000, h: 3600000 }[unit];
+  }
+  return ms || null;
+}
+
+// Delay the server asks for, in milliseconds, or null when it doesn't say
+function retryAfter(headers) {
+  const ms = Number(header(headers, 'retry-after-ms'));
+  if (ms > 0) return ms;
+
+  const value = header(headers, 'retry-after');
+  if (value) {
+    const seconds = Number(value);
+    if (seconds > 0) return seconds * 1000;
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const resets = ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens']
+    .map(name => parseDuration(header(headers, name)))
+    .filter(Boolean);
+  return resets.length > 0 ? Math.max(...resets) : null;
+}
+
+// Spread retries of concurrent batches so they don't hit the server together:
+// server delays get up to 20% on top, backoff is drawn from its upper half
+function withJitter(waitMs, suggested) {
+  return Math.min(MAX_WAIT_MS, suggested
+    ? waitMs * (1 + Math.random() * 0.2)
+    : waitMs / 2 + Math.random() * waitMs / 2);
+}
+
+// Retry rate limits and transient errors with backoff; fatal and bad-input
+// errors are thrown right away, since repeating the call can't fix them
+async function withRetry(fn, maxRetries = 5, initialWaitTime = 4400) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const { kind, reason, retryAfterMs } = classifyError(error);
+      if (kind === 'fatal') {
+        console.error(`⛔ Not retrying (${reason}):`, error.message || error);
+        throw error;
+      }
+      if (kind === 'bad_input' || attempt >= maxRetries) throw error;
+
+      const backoff = initialWaitTime * Math.pow(1.5, attempt - 1);
+      const waitTime = Math.round(withJitter(retryAfterMs ?? backoff, retryAfterMs != null));
+      if (kind === 'rate_limit') {
+        console.log(`⏳ Rate limit hit, waiting ${waitTime / 1000}s before retry ${attempt}/${maxRetries - 1}` +
+          (retryAfterMs != null ? ' (as the server asked)' : ''));
+        countRetry({ rateLimited: true, waitMs: waitTime });
+      } else {
+        console.log(`⚠️ Error in attempt ${attempt}, retrying in ${waitTime / 1000}s...`, error.message || error);
+        countRetry();
+      }
+      await sleep(waitTime);
+    }
+  }
+}
+
+// ------------------------------------------------------------------
+// Call fn(items) and, when the service rejects the input, split the
+// batch in halves until the rejected items are isolated. Resolves to
+// the items that were rejected on their own, with their errors.
+// ------------------------------------------------------------------
+async function withSplitOnBadInput(items, fn, rejected = []) {
+  try {
+    await fn(items);
+  } catch (error) {
+    if (classifyError(error).kind !== 'bad_input') throw error;
+    if (items.length === 1) {
+      rejected.push({ item: items[0], error });
+      return rejected;
+    }
+
+    console.log(`✂️ Input rejected, splitting batch of ${items.length}:`, error.message || error);
+    const half = Math.ceil(items.length / 2);
+    await withSplitOnBadInput(items.slice(0, half), fn, rejected);
+    await withSplitOnBadInput(items.slice(half), fn, rejected);
+  }
+  return rejected;
+}
+
+export { sleep, withRetry, withSplitOnBadInput, classifyError, isFatalError };
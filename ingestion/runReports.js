@@ -0,0 +1,114 @@
+import os from 'os';
+import { ObjectId } from 'mongodb';
+import { getMetrics } from './metrics.js';
+
+const RUNS_COLLECTION = 'ingestion-runs';
+
+// Summed per collection into the run totals
+const TOTAL_FIELDS = ['processed', 'skipped', 'failed', 'truncated', 'tokens', 'cache_hits', 'cost_usd'];
+
+// Save a "running" report up front, so runs that crash still show up
+async function startRunReport(db, { mode, options, embedder, vectorStore }) {
+  const { insertedId } = await db.collection(RUNS_COLLECTION).insertOne({
+    mode,
+    status: 'running',
+    started_at: getMetrics().started_at,
+    host: os.hostname(),
+    provider: embedder.name,
+    model: embedder.model,
+    vector_store: vectorStore.name,
+    index: vectorStore.indexName,
+    options: {
+      collections: options.collections.map(([coll]) => coll),
+      ids: options.ids,
+      limit: options.limit,
+      since: options.since,
+      dry_run: options.dryRun,
+      from_scratch: options.fromScratch,
+    },
+  });
+  return insertedId;
+}
+
+function estimateCost(tokens, pricePerMillionTokens = 0) {
+  return Math.round(tokens / 1_000_000 * pricePerMillionTokens * 1e6) / 1e6;
+}
+
+// Per collection counters with their cost, plus run totals
+function buildReport(metrics, pricePerMillionTokens) {
+  const collections = Object.fromEntries(Object.entries(metrics.collections).map(([coll, counters]) => [
+    coll,
+    { ...counters, cost_usd: estimateCost(counters.tokens, pricePerMillionTokens) },
+  ]));
+
+  const totals = Object.fromEntries(TOTAL_FIELDS.map(field => [
+    field,
+    Object.values(collections).reduce((sum, counters) => sum + counters[field], 0),
+  ]));
+  totals.cost_usd = estimateCost(totals.tokens, pricePerMillionTokens);
+  totals.retries = metrics.retries;
+  totals.rate_limit_waits = metrics.rate_limit_waits;
+  totals.rate_limit_wait_ms = metrics.rate_limit_wait_ms;
+  totals.throttle_waits = metrics.throttle_waits;
+  totals.throttle_wait_ms = metrics.throttle_wait_ms;
+
+  return { collections, totals };
+}
+
+async function finishRunReport(db, runId, { ok, error, pricePerMillionTokens }) {
+  const metrics = getMetrics();
+  const finishedAt = new Date();
+  await db.collection(RUNS_COLLECTION).updateOne({ _id: runId }, {
+    $set: {
+      status: ok ? 'succeeded' : 'failed',
+      ...(error ? { error: String(error.message || error) } : {}),
+      finished_at: finishedAt,
+      duration_ms: finishedAt - metrics.started_at,
+      ...buildReport(metrics, pricePerMillionTokens),
+    },
+  });
+}
+
+// Most recent runs first
+async function listRuns(db, limit = 10) {
+  return db.collection(RUNS_COLLECTION).find({}).sort({ started_at: -1 }).limit(limit).toArray();
+}
+
+// "last" picks the two most recent runs, otherwise two run IDs
+async function getRunsToCompare(db, ids) {
+  if (ids.length === 1 && ids[0] === 'last') {
+    const [newer, older] = await listRuns(db, 2);
+    if (!older) throw new Error('Need at least two runs to compare');
+    return [older, newer];
+  }
+
+  if (ids.length !== 2) throw new Error('--compare-runs needs two run IDs or "last"');
+  return Promise.all(ids.map(async id => {
+    if (!ObjectId.isValid(id)) throw new Error(`Invalid run ID: ${id}`);
+    const run = await db.collection(RUNS_COLLECTION).findOne({ _id: new ObjectId(id) });
+    if (!run) throw new Error(`No run with ID ${id}`);
+    return run;
+  }));
+}
+
+// One row per counter and collection, with the change from run a to run b
+function compareRuns(a, b) {
+  const rows = [];
+  const addRows = (scope, countersA = {}, countersB = {}) => {
+    for (const field of [...TOTAL_FIELDS, 'retries', 'rate_limit_waits', 'throttle_wait_ms', 'duration_ms']) {
+      const before = countersA[field] ?? 0;
+      const after = countersB[field] ?? 0;
+      if (before === 0 && after === 0) continue;
+      rows.push({ scope, field, before, after, change: Math.round((after - before) * 1e6) / 1e6 });
+    }
+  };
+
+  addRows('total', { ...a.totals, duration_ms: a.duration_ms }, { ...b.totals, duration_ms: b.duration_ms });
+  const collections = new Set([...Object.keys(a.collections || {}), ...Object.keys(b.collections || {})]);
+  for (const coll of collections) {
+    addRows(coll, a.collections?.[coll], b.collections?.[coll]);
+  }
+  return rows;
+}
+
+export { RUNS_COLLECTION, startRunReport, finishRunReport, buildReport, listRuns, getRunsToCompare, compareRuns };
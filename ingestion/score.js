@@ -0,0 +1,15 @@
+const PRIOR_SCORE = 5;
+const CONFIDENCE_VOTES = 1000;
+
+function bayesianAdjusted(sumOfScores, voteCount, C = PRIOR_SCORE, m = CONFIDENCE_VOTES) {
+  return (sumOfScores + m * C) / (voteCount + m);
+}
+
+// Adjusted score from an average rating and its vote count, as the
+// documents store them (bayesianAdjusted expects the sum of all votes)
+function adjustedScore(average, votes) {
+  const voteCount = votes || 0;
+  return bayesianAdjusted((average || 0) * voteCount, voteCount);
+}
+
+export { bayesianAdjusted, adjustedScore };
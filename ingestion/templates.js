@@ -0,0 +1,163 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { adjustedScore } from './score.js';
+import { truncateToTokens } from './tokens.js';
+
+const DEFAULT_TEMPLATES_PATH = fileURLToPath(new URL('../config/embeddingTemplates.json', import.meta.url));
+
+// ------------------------------------------------------------------
+// Embedding templates, one per collection plus "default". Each has a
+// version (stored with every vector) and an ordered list of parts.
+// A part renders as prefix + value + suffix and takes its value from:
+//
+//   text      literal text
+//   field     a path such as "description" or "genres[].name";
+//             "a|b" falls back to b when a is empty
+//   each      a list path, combined with "fields" read from every item
+//             ("relations[]" + ["relation", "source[].name"])
+//   score     { method: "bayesian", value, votes, digits }
+//
+// Optional settings: default (for empty values), stripHtml, limit
+// (max list items), maxTokens, omitEmpty (drop prefix and suffix too)
+// and trimOrder (lower is trimmed first when over budget, unset never).
+//
+// "facets" optionally maps facet names (story, people, tags) to parts
+// lists of their own. Each facet is embedded as an extra vector in the
+// vector store namespace of the same name; "parts" stays the combined
+// vector in the default namespace.
+// ------------------------------------------------------------------
+
+// Templates used by buildText unless a caller passes its own
+let activeTemplates = null;
+
+// Read and validate a template file without activating it
+function loadTemplates(path = process.env.EMBEDDING_TEMPLATES_PATH || DEFAULT_TEMPLATES_PATH) {
+  const templates = JSON.parse(readFileSync(path, 'utf8'));
+  validateTemplates(templates, path);
+  return templates;
+}
+
+// Switch every later buildText call to the templates in path
+function useTemplates(path) {
+  activeTemplates = loadTemplates(path);
+  return activeTemplates;
+}
+
+function validateTemplates(templates, path) {
+  for (const [collName, template] of Object.entries(templates)) {
+    const where = `${path}: template "${collName}"`;
+    if (!Number.isInteger(template.version) || template.version < 1) {
+      throw new Error(`${where} needs a positive integer version`);
+    }
+    validateParts(template.parts, where);
+    for (const [facet, parts] of Object.entries(template.facets || {})) {
+      validateParts(parts, `${where}, facet "${facet}"`);
+    }
+  }
+}
+
+function validateParts(parts, where) {
+  if (!Array.isArray(parts) || parts.length === 0) {
+    throw new Error(`${where} needs a non-empty parts list`);
+  }
+  for (const part of parts) {
+    const sources = ['text', 'field', 'each', 'score'].filter(key => part[key] !== undefined);
+    if (!part.name || sources.length !== 1) {
+      throw new Error(`${where} has a part that needs a name and exactly one of text, field, each or score`);
+    }
+    if (part.each && !Array.isArray(part.fields)) {
+      throw new Error(`${where}, part "${part.name}": "each" needs a "fields" list`);
+    }
+    if (part.score && part.score.method !== 'bayesian') {
+      throw new Error(`${where}, part "${part.name}": unknown score method "${part.score.method}"`);
+    }
+  }
+}
+
+function getTemplate(collName, templates = activeTemplates ??= loadTemplates()) {
+  const template = templates[collName] || templates.default;
+  if (!template) throw new Error(`No embedding template for ${collName}`);
+  return template;
+}
+
+// Every facet name used by any template, i.e. the namespaces facet vectors live in
+function getFacetNames(templates = activeTemplates ??= loadTemplates()) {
+  return [...new Set(Object.values(templates).flatMap(template => Object.keys(template.facets || {})))];
+}
+
+// Follow a dotted path; "key[]" maps over a list, so the result becomes a list
+function resolvePath(source, path) {
+  let current = source;
+  let isList = false;
+
+  for (const segment of path.split('.')) {
+    const many = segment.endsWith('[]');
+    const key = many ? segment.slice(0, -2) : segment;
+    if (isList) {
+      current = many ? current.flatMap(item => item?.[key] || []) : current.map(item => item?.[key]);
+    } else {
+      current = current?.[key];
+      if (many) {
+        current = current || [];
+        isList = true;
+      }
+    }
+  }
+  return current;
+}
+
+function resolveField(doc, field) {
+  const paths = field.split('|');
+  for (const path of paths) {
+    const value = resolvePath(doc, path);
+    if (Array.isArray(value) ? value.length > 0 : value) return value;
+  }
+  return resolvePath(doc, paths[paths.length - 1]);
+}
+
+function partValue(spec, doc) {
+  if (spec.text !== undefined) return spec.text;
+
+  if (spec.score) {
+    const { value, votes, digits = 2 } = spec.score;
+    return adjustedScore(resolvePath(doc, value), resolvePath(doc, votes)).toFixed(digits);
+  }
+
+  let value = spec.each
+    ? resolvePath(doc, spec.each).flatMap(item => spec.fields.flatMap(field => {
+      const fieldValue = resolvePath(item, field);
+      return Array.isArray(fieldValue) ? fieldValue : [fieldValue];
+    }))
+    : resolveField(doc, spec.field);
+
+  if (Array.isArray(value)) {
+    return spec.limit ? value.slice(0, spec.limit) : value;
+  }
+
+  value = value ? String(value) : (spec.default ?? '');
+  if (spec.stripHtml) value = value.replace(/<[^>]+>/g, '');
+  if (spec.maxTokens) value = truncateToTokens(value, spec.maxTokens);
+  return value;
+}
+
+// Turn a template (or one of its facets) into the parts buildText renders and trims
+function renderTemplateParts(template, doc, facet = null) {
+  const specs = facet ? template.facets?.[facet] : template.parts;
+  if (!specs) throw new Error(`Template has no facet "${facet}"`);
+  return specs.map(spec => {
+    const value = partValue(spec, doc);
+    const empty = Array.isArray(value) ? value.length === 0 : value === '';
+    if (spec.omitEmpty && empty) {
+      return { name: spec.name, prefix: '', value: '', suffix: '', trimOrder: null };
+    }
+    return {
+      name: spec.name,
+      prefix: spec.prefix || '',
+      value,
+      suffix: spec.suffix || '',
+      trimOrder: spec.trimOrder ?? null,
+    };
+  });
+}
+
+export { loadTemplates, useTemplates, getTemplate, getFacetNames, renderTemplateParts, resolvePath, DEFAULT_TEMPLATES_PATH };
@@ -0,0 +1,42 @@
+import { Tiktoken } from 'js-tiktoken/lite';
+import cl100k_base from 'js-tiktoken/ranks/cl100k_base';
+
+// text-embedding-3-small tokenizes with cl100k_base
+let encoder;
+
+function countTokens(text) {
+  encoder ??= new Tiktoken(cl100k_base);
+  return encoder.encode(text).length;
+}
+
+// Cut text down to at most maxTokens tokens
+function truncateToTokens(text, maxTokens) {
+  encoder ??= new Tiktoken(cl100k_base);
+  const tokens = encoder.encode(text);
+  if (tokens.length <= maxTokens) return text;
+  return encoder.decode(tokens.slice(0, maxTokens));
+}
+
+// Group documents into batches bounded by total tokens and item count.
+// A single document over maxTokens still gets a batch of its own.
+function packByTokens(documents, { maxTokens, maxItems }) {
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const doc of documents) {
+    const tokens = doc.tokens ?? countTokens(doc.text);
+    if (current.length > 0 && (current.length >= maxItems || currentTokens + tokens > maxTokens)) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(doc);
+    currentTokens += tokens;
+  }
+  if (current.length > 0) batches.push(current);
+
+  return batches;
+}
+
+export { countTokens, truncateToTokens, packByTokens };
@@ -0,0 +1,237 @@
+import { toDocument, processBatch } from './ingestCollection.js';
+import { deleteVectors } from './reconcile.js';
+import { classifyDocuments, saveHashes } from './contentHash.js';
+import { recordDeadLetters, clearDeadLetters } from './deadLetters.js';
+import { sleep, isFatalError } from './retry.js';
+import { startCollection, finishCollection, runInCollection, countDocuments } from './metrics.js';
+
+const RESUME_TOKEN_COLLECTION = 'ingestion-resume-tokens';
+const WATCHED_OPERATIONS = ['insert', 'update', 'replace', 'delete'];
+// Write right away once this many documents are waiting...
+const MAX_PENDING = 200;
+// ...or the oldest has waited this long, so steady edits can't hold writes back
+const MAX_WAIT_MS = 60 * 1000;
+// Longest pause between attempts to write a failed flush
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+// Server errors for a resume token that can no longer be used
+// (ChangeStreamFatalError, ChangeStreamHistoryLost)
+const LOST_RESUME_CODES = [280, 286];
+// The $changeStream stage is only supported on replica sets
+const NOT_A_REPLICA_SET = 40573;
+
+// ------------------------------------------------------------------
+// Keep vectors current between full runs. Each collection's change
+// stream collects the IDs of inserted, edited and deleted documents;
+// once a collection has been quiet for `debounceMs` they are written
+// in one go: deleted documents lose their vectors, the others are read
+// again and only re-embedded when their embedding text changed. The
+// resume token is saved after each write, so a restarted watcher
+// continues where it stopped. getContext() is asked for the clients
+// before every write, which lets the caller follow a promoted index.
+// Resolves once stop() was called and pending changes are written.
+// ------------------------------------------------------------------
+function watchCollections(getContext, collections, { debounceMs = 5000 } = {}) {
+  const watchers = collections.map(([coll, type]) => watchCollection(getContext, coll, type, { debounceMs }));
+  let stopped = false;
+  const stop = async () => {
+    if (stopped) return;
+    stopped = true;
+    await Promise.allSettled(watchers.map(watcher => watcher.stop()));
+  };
+
+  // One collection failing for good (bad credentials) stops the others too
+  const done = Promise.all(watchers.map(watcher => watcher.done.catch(async err => {
+    await stop();
+    throw err;
+  })));
+  return { done, stop };
+}
+
+function watchCollection(getContext, collName, contentType, { debounceMs }) {
+  let stream = null;
+  let stopped = false;
+  // Document ID -> latest change, in arrival order
+  let pending = new Map();
+  let pendingToken = null;
+  let firstPendingAt = null;
+  let timer = null;
+  let flushing = Promise.resolve();
+  let failures = 0;
+  let fatalError = null;
+
+  // Flushes run one after another; a fatal error (bad credentials) ends the watcher
+  const queueFlush = () => {
+    flushing = flushing.then(flush).catch(err => {
+      fatalError ??= err;
+      stopped = true;
+      stream?.close().catch(() => {});
+    });
+    return flushing;
+  };
+
+  // Every change restarts the quiet period
+  const schedule = () => {
+    clearTimeout(timer);
+    if (stopped || pending.size === 0) return;
+    const wait = pending.size >= MAX_PENDING ? 0 : Math.min(debounceMs, firstPendingAt + MAX_WAIT_MS - Date.now());
+    timer = setTimeout(queueFlush, Math.max(0, wait));
+  };
+
+  // Write everything pending; on failure it is put back and tried again later
+  const flush = async () => {
+    if (pending.size === 0) return;
+    const changes = [...pending.values()];
+    const token = pendingToken;
+    pending = new Map();
+    firstPendingAt = null;
+
+    try {
+      const ctx = await getContext();
+      await runInCollection(collName, () => writeChanges(ctx, collName, contentType, changes));
+      await saveResumeToken(ctx.mongo.db(), collName, token);
+      failures = 0;
+    } catch (err) {
+      if (isFatalError(err)) throw err;
+      failures++;
+      console.error(`❌ [${contentType}] Writing ${changes.length} changed documents failed (attempt ${failures}):`, err.message || err);
+
+      // Changes that arrived meanwhile are newer, keep those
+      const newer = pending;
+      pending = new Map(changes.map(change => [change.id, change]));
+      for (const [id, change] of newer) {
+        pending.delete(id);
+        pending.set(id, change);
+      }
+      if (newer.size === 0) pendingToken = token;
+      firstPendingAt = Date.now();
+      if (!stopped) await sleep(Math.min(5000 * failures, MAX_RETRY_DELAY_MS));
+    }
+    schedule();
+  };
+
+  const run = async () => {
+    const { mongo } = await getContext();
+    const db = mongo.db();
+    startCollection(collName);
+    let saved = await db.collection(RESUME_TOKEN_COLLECTION).findOne({ _id: collName });
+    if (saved) {
+      console.log(`👀 Watching ${collName}, resuming after ${saved.updated_at.toLocaleString()}`);
+    } else {
+      console.log(`👀 Watching ${collName} from now on; earlier changes are left to the next full run`);
+    }
+
+    while (!stopped) {
+      stream = db.collection(collName).watch(
+        [{ $match: { operationType: { $in: WATCHED_OPERATIONS } } }],
+        saved ? { resumeAfter: saved.token } : {}
+      );
+      try {
+        for await (const change of stream) {
+          // The collection was dropped or renamed, this stream is over
+          if (change.operationType === 'invalidate') {
+            console.warn(`⚠️ The change stream on ${collName} was invalidated, watching it again from now`);
+            saved = null;
+            break;
+          }
+          const id = change.documentKey._id.toString();
+          pending.delete(id);
+          pending.set(id, { id, _id: change.documentKey._id, deleted: change.operationType === 'delete' });
+          pendingToken = change._id;
+          firstPendingAt ??= Date.now();
+          schedule();
+        }
+      } catch (err) {
+        if (stopped) break;
+        if (err.code === NOT_A_REPLICA_SET) {
+          throw new Error(`Change streams need a replica set, ${collName} can't be watched on a standalone server`);
+        }
+        if (saved && LOST_RESUME_CODES.includes(err.code)) {
+          console.warn(`⚠️ Can't resume ${collName} (${err.message}), watching from now on. ` +
+            `Catch up with: node index.js --collections ${collName} --since ${saved.updated_at.toISOString()}`);
+          await db.collection(RESUME_TOKEN_COLLECTION).deleteOne({ _id: collName });
+          saved = null;
+          continue;
+        }
+        throw err;
+      } finally {
+        await stream.close().catch(() => {});
+      }
+      // Closed without an error: stopped, or invalidated and opened again
+    }
+  };
+
+  const done = run()
+    .then(async () => {
+      clearTimeout(timer);
+      await queueFlush();
+      if (fatalError) throw fatalError;
+      finishCollection(collName, 'done');
+    })
+    .catch(err => {
+      clearTimeout(timer);
+      finishCollection(collName, 'error');
+      throw err;
+    });
+
+  return {
+    done,
+    async stop() {
+      stopped = true;
+      await stream?.close().catch(() => {});
+      await done.catch(() => {});
+    },
+  };
+}
+
+// Delete vectors of removed documents and re-embed the rest when their text changed
+async function writeChanges(ctx, collName, contentType, changes) {
+  const { mongo, embedder } = ctx;
+  const db = mongo.db();
+
+  const updated = changes.filter(change => !change.deleted);
+  const docs = updated.length > 0
+    ? await db.collection(collName).find({ _id: { $in: updated.map(change => change._id) } }).toArray()
+    : [];
+
+  // Documents deleted after their last edit have nothing left to embed
+  const found = new Set(docs.map(doc => doc._id.toString()));
+  const removed = changes.filter(change => change.deleted || !found.has(change.id)).map(change => change.id);
+  if (removed.length > 0) {
+    const deleted = await deleteVectors(ctx, removed);
+    if (deleted < removed.length) throw new Error(`only ${deleted} of ${removed.length} vectors were deleted`);
+    await clearDeadLetters(db, collName, removed);
+  }
+
+  const documents = docs.map(doc => toDocument(doc, collName, contentType, embedder));
+  const { added, changed, unchanged } = await classifyDocuments(db, documents);
+  const toEmbed = [...added, ...changed];
+  let rejected = [];
+  if (toEmbed.length > 0) {
+    ({ rejected } = await processBatch(toEmbed, ctx, contentType));
+    const rejectedDocs = new Set(rejected.map(({ doc }) => doc));
+    const written = toEmbed.filter(doc => !rejectedDocs.has(doc));
+    await saveHashes(db, written, contentType, embedder.model);
+    await clearDeadLetters(db, collName, written.map(doc => doc.id));
+    for (const { doc, error } of rejected) {
+      await recordDeadLetters(db, collName, contentType, docs.filter(raw => raw._id.toString() === doc.id), error, 1);
+    }
+  }
+
+  const rejectedIds = new Set(rejected.map(({ doc }) => doc.id));
+  const addedOk = added.filter(doc => !rejectedIds.has(doc.id)).length;
+  const changedOk = changed.filter(doc => !rejectedIds.has(doc.id)).length;
+  countDocuments(collName, { added: addedOk, changed: changedOk, skipped: unchanged.length, failed: rejected.length });
+  console.log(`👀 [${contentType}] ${addedOk} new, ${changedOk} changed, ${unchanged.length} unchanged, ` +
+    `${removed.length} deleted${rejected.length > 0 ? `, ${rejected.length} dead-lettered` : ''}`);
+}
+
+async function saveResumeToken(db, collName, token) {
+  if (!token) return;
+  await db.collection(RESUME_TOKEN_COLLECTION).updateOne(
+    { _id: collName },
+    { $set: { token, updated_at: new Date() } },
+    { upsert: true }
+  );
+}
+
+export { RESUME_TOKEN_COLLECTION, watchCollections };
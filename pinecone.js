@@ -9,6 +9,7 @@ import { config } from "dotenv";
 config();
 import { MongoClient } from 'mongodb';
 import { recommendById, recommendForUser } from './recommendations/index.js';
+import { CONTENT_TYPES } from './config/contentTypes.js';
 
 // Initialize MongoDB client for demo
 const mongoClient = new MongoClient(process.env.MONGODB_URI);
@@ -58,12 +59,7 @@ function formatRecommendations(recs) {
       console.table(formatRecommendations(recommendations));
     } else {
       // Display each content type's recommendations
-      const contentTypes = [
-        { type: 'Movie', data: recommendations.movies || [] },
-        { type: 'TV Series', data: recommendations.tvSeries || [] },
-        { type: 'Anime', data: recommendations.animes || [] },
-        { type: 'Game', data: recommendations.games || [] }
-      ];
+      const contentTypes = CONTENT_TYPES.map(({ key, label }) => ({ type: label, data: recommendations[key] || [] }));
 
       let totalRecs = 0;
 
@@ -0,0 +1,84 @@
+import { CONTENT_TYPES } from '../config/contentTypes.js';
+
+// Filter keys matching any of the listed values, by metadata field
+const LIST_FILTERS = { genres: 'genres', platforms: 'platforms', networks: 'networks' };
+const FILTER_KEYS = ['types', ...Object.keys(LIST_FILTERS), 'minYear', 'maxYear', 'minScore'];
+// Stored scores are out of 10 for every type (see ingestion/metadata.js)
+const MAX_SCORE = 10;
+
+// ------------------------------------------------------------------
+// Turn a recommendation filter into a vector store metadata filter
+// (see ingestion/metadata.js for the fields):
+//
+//   types      ['game']                  any of these content types
+//   genres     ['Action', 'Drama']       any of these genres
+//   platforms  ['Nintendo Switch']       any of these platforms (games only)
+//   networks   ['HBO']                   any of these networks (TV series only)
+//   minYear    2010                      released in or after this year
+//   maxYear    2019                      released in or before this year
+//   minScore   7                         score out of 10 at least this
+//
+// Values match metadata exactly, so "action" doesn't find "Action".
+// Items missing a filtered field never match, which makes a platform
+// filter return games only. Returns undefined for an empty filter.
+// ------------------------------------------------------------------
+function buildVectorFilter(filter) {
+  if (!filter) return undefined;
+  if (typeof filter !== 'object' || Array.isArray(filter)) throw new Error('The filter must be an object');
+
+  for (const key of Object.keys(filter)) {
+    if (!FILTER_KEYS.includes(key)) throw new Error(`Unknown filter "${key}" (known: ${FILTER_KEYS.join(', ')})`);
+  }
+
+  const conditions = {};
+  if (filter.types != null) {
+    const known = CONTENT_TYPES.map(({ type }) => type);
+    const types = stringList(filter.types, 'types');
+    const unknown = types.find(type => !known.includes(type));
+    if (unknown) throw new Error(`Unknown content type "${unknown}" (known: ${known.join(', ')})`);
+    conditions.type = { $in: types };
+  }
+  for (const [key, field] of Object.entries(LIST_FILTERS)) {
+    if (filter[key] != null) conditions[field] = { $in: stringList(filter[key], key) };
+  }
+
+  const minYear = year(filter.minYear, 'minYear');
+  const maxYear = year(filter.maxYear, 'maxYear');
+  if (minYear !== undefined && maxYear !== undefined && minYear > maxYear) {
+    throw new Error(`minYear (${minYear}) is after maxYear (${maxYear})`);
+  }
+  if (minYear !== undefined || maxYear !== undefined) {
+    conditions.year = {
+      ...(minYear !== undefined ? { $gte: minYear } : {}),
+      ...(maxYear !== undefined ? { $lte: maxYear } : {}),
+    };
+  }
+
+  if (filter.minScore != null) {
+    if (typeof filter.minScore !== 'number' || !Number.isFinite(filter.minScore)) {
+      throw new Error('minScore must be a number');
+    }
+    if (filter.minScore < 0 || filter.minScore > MAX_SCORE) {
+      throw new Error(`minScore must be between 0 and ${MAX_SCORE}, scores are out of ${MAX_SCORE} for every type`);
+    }
+    conditions.score = { $gte: filter.minScore };
+  }
+
+  return Object.keys(conditions).length > 0 ? conditions : undefined;
+}
+
+function stringList(value, key) {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.length === 0 || values.some(item => typeof item !== 'string' || item.length === 0)) {
+    throw new Error(`${key} must be a non-empty string or list of strings`);
+  }
+  return [...new Set(values)];
+}
+
+function year(value, key) {
+  if (value == null) return undefined;
+  if (!Number.isInteger(value)) throw new Error(`${key} must be a whole year`);
+  return value;
+}
+
+export { FILTER_KEYS, MAX_SCORE, buildVectorFilter };
@@ -1,2 +1,4 @@
-export { recommendById } from './recommendById.js';
-export { recommendForUser } from './recommendForUser.js';
\ No newline at end of file
+export { recommendById, findSimilar } from './recommendById.js';
+export { buildVectorFilter } from './filters.js';
+export { GROUP_STRATEGIES, recommendForUser, userExists } from './recommendForUser.js';
+export { closeMongo } from './mongo.js';
@@ -0,0 +1,59 @@
+import { ObjectId } from 'mongodb';
+
+// Status values the lists use, by the status they mean (compared
+// lowercase without spaces, dashes or underscores)
+const STATUS_ALIASES = {
+  completed: ['completed', 'complete', 'finished', 'watched', 'played', 'read'],
+  watching: ['watching', 'playing', 'reading', 'current', 'inprogress'],
+  onHold: ['onhold', 'paused'],
+  dropped: ['dropped', 'abandoned'],
+  planned: ['planned', 'plantowatch', 'plantoplay', 'plantoread', 'wishlist', 'backlog'],
+};
+// Scores at or below this share of the scale count against an item (4 out of 10)
+const LOW_SCORE_SHARE = 0.4;
+
+// One entry of a user list as { id, score, date, status }, see userList
+// in config/contentTypes.js. id is null when no ID field is set.
+function toListEntry(item, userList) {
+  const id = userList.idFields.map(field => item[field]).find(Boolean);
+  const score = Number(item[userList.score]);
+  return {
+    id: id ? id.toString() : null,
+    score: item[userList.score] != null && Number.isFinite(score) && score > 0 ? score : undefined,
+    date: entryDate(item, userList.dates),
+    status: listStatus(item[userList.status]),
+  };
+}
+
+// Normalized status, or null for missing and unknown values
+function listStatus(value) {
+  if (typeof value !== 'string') return null;
+  const key = value.toLowerCase().replace(/[\s_-]/g, '');
+  return Object.keys(STATUS_ALIASES).find(status => STATUS_ALIASES[status].includes(key)) ?? null;
+}
+
+// ------------------------------------------------------------------
+// What an entry says about the user's taste:
+//
+//   planned   not consumed yet, says nothing (yet)
+//   negative  dropped, or scored LOW_SCORE_SHARE of the scale or less
+//   positive  everything else, including entries without status or score
+// ------------------------------------------------------------------
+function entrySignal({ status, score }, scoreScale = 10) {
+  if (status === 'planned') return 'planned';
+  if (status === 'dropped') return 'negative';
+  if (score !== undefined && score <= scoreScale * LOW_SCORE_SHARE) return 'negative';
+  return 'positive';
+}
+
+// Date of a list entry from its date fields, else its ObjectId
+function entryDate(item, dateFields = []) {
+  for (const field of dateFields) {
+    const value = item[field];
+    const date = value instanceof Date ? value : value ? new Date(value) : null;
+    if (date && !Number.isNaN(date.getTime())) return date;
+  }
+  return item._id instanceof ObjectId ? item._id.getTimestamp() : null;
+}
+
+export { STATUS_ALIASES, toListEntry, listStatus, entrySignal, entryDate };
@@ -0,0 +1,13 @@
+import { MongoClient } from 'mongodb';
+import { config } from "dotenv";
+config();
+
+// One MongoDB client shared by the recommendation modules; each connects
+// it on first use, and long-running callers close it when they stop
+const mongoClient = new MongoClient(process.env.MONGODB_URI);
+
+async function closeMongo() {
+  await mongoClient.close();
+}
+
+export { mongoClient, closeMongo };
@@ -1,53 +1,70 @@
-import { Pinecone } from "@pinecone-database/pinecone";
-import { MongoClient, ObjectId } from 'mongodb';
+import { ObjectId } from 'mongodb';
 import { config } from "dotenv";
 config();
+import { mongoClient } from './mongo.js';
+import { createVectorStore } from '../vectorStore/index.js';
+import { getCollectionName } from '../config/contentTypes.js';
+import { getFacetNames } from '../ingestion/templates.js';
+import { getLiveIndexName } from '../ingestion/indexes.js';
+import { getCalibration, calibrateScore } from '../ingestion/calibration.js';
+import { COLLECTIONS } from '../ingestion/collections.js';
+import { buildVectorFilter } from './filters.js';
+
+// Candidates taken from each facet before fusing, as a multiple of topK
+const FACET_CANDIDATES = 3;
+// Pinecone's largest topK for queries that return metadata
+const MAX_QUERY_TOP_K = 1000;
+// How long to keep using an index before checking whether another one was promoted
+const LIVE_INDEX_TTL_MS = 60000;
 
 // Initialize clients
-const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-const mongoClient = new MongoClient(process.env.MONGODB_URI);
-
-// Map content type to MongoDB collection name
-function getCollectionName(type) {
-  switch (type) {
-    case 'movie': return 'movies';
-    case 'tvseries': return 'tv-series';
-    case 'anime': return 'animes';
-    case 'game': return 'games';
-    default: throw new Error(`Unknown content type: ${type}`);
+const configuredStore = createVectorStore();
+
+let liveStore = configuredStore;
+let liveCheckedAt = 0;
+
+// The vector store of the index the "live" alias points to
+async function getVectorStore() {
+  if (Date.now() - liveCheckedAt < LIVE_INDEX_TTL_MS) return liveStore;
+
+  if (!mongoClient.topology || !mongoClient.topology.isConnected()) {
+    await mongoClient.connect();
+  }
+  const liveIndex = await getLiveIndexName(mongoClient.db(), configuredStore.indexName);
+  if (liveIndex !== liveStore.indexName) {
+    console.log(`🔀 Reading from index ${liveIndex}`);
+    liveStore = liveIndex === configuredStore.indexName
+      ? configuredStore
+      : createVectorStore(process.env, { indexName: liveIndex });
   }
+  liveCheckedAt = Date.now();
+  return liveStore;
 }
 
-// Fetch MongoDB document by ID and type
+// Fetch MongoDB document by ID and type. Errors reach the caller: a failed
+// lookup must not look like a document that is gone.
 async function fetchFromMongoDB(id, type) {
-  try {
-    if (!mongoClient.topology || !mongoClient.topology.isConnected()) {
-      await mongoClient.connect();
-    }
-
-    const db = mongoClient.db();
-    const collection = db.collection(getCollectionName(type));
+  if (!mongoClient.topology || !mongoClient.topology.isConnected()) {
+    await mongoClient.connect();
+  }
 
-    // Try string ID first
-    let doc = await collection.findOne({ _id: id });
+  const db = mongoClient.db();
+  const collection = db.collection(getCollectionName(type));
 
-    // If not found, try with ObjectId
-    if (!doc) {
-      try {
-        doc = await collection.findOne({ _id: new ObjectId(id) });
-      } catch (e) {} // Ignore ObjectId conversion errors
-    }
+  // Try string ID first
+  let doc = await collection.findOne({ _id: id });
 
-    return doc;
-  } catch (error) {
-    console.error(`MongoDB fetch error: ${error.message}`);
-    return null;
+  // If not found, try with ObjectId
+  if (!doc && ObjectId.isValid(id) && id.length === 24) {
+    doc = await collection.findOne({ _id: new ObjectId(id) });
   }
+
+  return doc;
 }
 
-// Get MongoDB docs for multiple Pinecone results
-async function getMongoDBDocs(pineconeResults) {
-  const fetchPromises = pineconeResults
+// Get MongoDB docs for multiple vector store results
+async function getMongoDBDocs(vectorResults) {
+  const fetchPromises = vectorResults
     .filter(item => item.metadata?.type) // Filter out items without type
     .map(async (item) => {
       const doc = await fetchFromMongoDB(item.id, item.metadata.type);
@@ -56,6 +73,8 @@ async function getMongoDBDocs(pineconeResults) {
           id: item.id,
           score: item.score,
           type: item.metadata.type,
+          ...(item.facetScores ? { facetScores: item.facetScores } : {}),
+          ...(item.rawScore !== undefined ? { rawScore: item.rawScore } : {}),
           data: doc
         };
       }
@@ -67,27 +86,176 @@ async function getMongoDBDocs(pineconeResults) {
   return results;
 }
 
-// Find similar items and return MongoDB data
-async function recommendById(itemId, topK = 10) {
-  try {
-    const index = pinecone.Index(process.env.PINECONE_INDEX);
-    const res = await index.query({
+// Facet weights must name facets from the templates and not all be zero
+function validateFacetWeights(weights) {
+  const known = getFacetNames();
+  for (const [facet, weight] of Object.entries(weights)) {
+    if (!known.includes(facet)) {
+      throw new Error(`Unknown facet "${facet}" (known: ${known.join(', ') || 'none'})`);
+    }
+    if (typeof weight !== 'number' || !(weight >= 0)) {
+      throw new Error(`Weight of facet "${facet}" must be a non-negative number`);
+    }
+  }
+  if (!Object.values(weights).some(weight => weight > 0)) {
+    throw new Error('At least one facet weight must be above zero');
+  }
+}
+
+// ------------------------------------------------------------------
+// Combine per-facet matches into one ranking by the weighted average
+// of their scores. A candidate missing from a facet's list scored below
+// everything in it, so it gets that list's lowest score. Facets the
+// item has no vector for are left out of the weights.
+// ------------------------------------------------------------------
+function fuseFacetMatches(facetMatches, topK) {
+  const found = facetMatches.filter(({ matches }) => matches.length > 0);
+  const totalWeight = found.reduce((sum, { weight }) => sum + weight, 0);
+  const candidates = new Map();
+
+  for (const { facet, matches } of found) {
+    for (const match of matches) {
+      const candidate = candidates.get(match.id) ?? { id: match.id, metadata: match.metadata, facetScores: {} };
+      candidate.facetScores[facet] = match.score;
+      candidates.set(match.id, candidate);
+    }
+  }
+
+  for (const candidate of candidates.values()) {
+    candidate.score = found.reduce((sum, { facet, weight, matches }) =>
+      sum + weight * (candidate.facetScores[facet] ?? matches[matches.length - 1].score), 0) / totalWeight;
+  }
+
+  return [...candidates.values()].sort((a, b) => b.score - a.score).slice(0, topK);
+}
+
+async function queryFacets(itemId, topK, facetWeights, filter) {
+  const vectorStore = await getVectorStore();
+  const facetMatches = await Promise.all(Object.entries(facetWeights)
+    .filter(([, weight]) => weight > 0)
+    .map(async ([facet, weight]) => {
+      const res = await vectorStore.namespace(facet).query({
+        id: itemId,
+        topK: Math.min(topK * FACET_CANDIDATES + 1, MAX_QUERY_TOP_K),
+        ...(filter ? { filter } : {}),
+        includeMetadata: true
+      });
+      return { facet, weight, matches: (res.matches || []).filter(match => match.id !== itemId) };
+    }));
+  return fuseFacetMatches(facetMatches, topK);
+}
+
+async function queryCombined(itemId, topK, filter) {
+  const vectorStore = await getVectorStore();
+  const res = await vectorStore.query({
+    id: itemId,
+    topK: Math.min(topK + 1, MAX_QUERY_TOP_K), // Request one extra to account for removing the original item
+    ...(filter ? { filter } : {}),
+    includeMetadata: true
+  });
+
+  // Filter out the original item and limit to topK
+  return (res.matches || [])
+    .filter(match => match.id !== itemId)
+    .slice(0, topK);
+}
+
+// Pairs already reported as uncalibrated, so the warning shows once
+const uncalibrated = new Set();
+
+// Calibration of one source -> target type pair on the index, or
+// undefined (warned about once) when the pair hasn't been calibrated
+async function getPairCalibration(indexName, source, target) {
+  const stats = (await getCalibration(mongoClient.db(), indexName)).get(`${source}:${target}`);
+  if (!stats && !uncalibrated.has(`${indexName}:${source}:${target}`)) {
+    uncalibrated.add(`${indexName}:${source}:${target}`);
+    console.warn(`⚠️ No calibration for ${source} -> ${target} on ${indexName}, run node index.js --calibrate`);
+  }
+  return stats;
+}
+
+// ------------------------------------------------------------------
+// Cross-media: the best matches of each target type, ranked together
+// by their calibrated score (see ingestion/calibration.js) so that
+// other types can outrank the item's own. Each result keeps its raw
+// similarity as rawScore. Uncalibrated pairs fall back to raw scores.
+// ------------------------------------------------------------------
+async function queryCrossMedia(itemId, topK, targets, filter) {
+  const vectorStore = await getVectorStore();
+  const { records } = await vectorStore.fetch([itemId]);
+  const source = records?.[itemId]?.metadata?.type;
+  if (!source) return [];
+
+  const perTarget = await Promise.all(targets.map(async target => {
+    const stats = await getPairCalibration(vectorStore.indexName, source, target);
+    const res = await vectorStore.query({
       id: itemId,
-      topK: topK + 1, // Request one extra to account for removing the original item
+      topK: Math.min(topK + 1, MAX_QUERY_TOP_K),
+      filter: { ...filter, type: target },
       includeMetadata: true
     });
-
-    // Filter out the original item and limit to topK
-    const filteredMatches = (res.matches || [])
+    return (res.matches || [])
       .filter(match => match.id !== itemId)
-      .slice(0, topK);
+      .map(match => ({ ...match, rawScore: match.score, score: stats ? calibrateScore(match.score, stats) : match.score }));
+  }));
+
+  return perTarget.flat().sort((a, b) => b.score - a.score).slice(0, topK);
+}
+
+// Find similar items and return MongoDB data, throwing when the vector
+// store fails. Pass facet weights such as { story: 0.7, tags: 0.3 } to
+// rank by those facets instead of the combined vector; each result then
+// carries its facetScores. filter narrows the results by type, genres,
+// year, score, platforms or networks (see filters.js) inside the vector
+// store, so narrow filters still fill topK. crossMedia ranks the types
+// by calibrated score instead, so an anime's closest games can come
+// before its hundredth closest anime.
+async function findSimilar(itemId, topK = 10, { facets = null, filter = null, crossMedia = false } = {}) {
+  if (facets) validateFacetWeights(facets);
+  if (facets && crossMedia) throw new Error('Facets and cross-media ranking cannot be combined');
+  const vectorFilter = buildVectorFilter(filter);
+  const targets = filter?.types ? [].concat(filter.types) : COLLECTIONS.map(([, type]) => type);
+
+  const queryMatches = async (candidates) => {
+    if (crossMedia) return await queryCrossMedia(itemId, candidates, targets, vectorFilter);
 
-    // Return MongoDB data for results
-    return await getMongoDBDocs(filteredMatches);
-  } catch (error) {
-    console.error(`recommendById error: ${error.message}`);
-    return [];
+    const matches = facets ? await queryFacets(itemId, candidates, facets, vectorFilter) : [];
+    if (facets && matches.length > 0) return matches;
+    // Items ingested before their template had facets only have the combined vector
+    if (facets) console.warn(`⚠️ No facet vectors for ${itemId}, using the combined vector`);
+    return await queryCombined(itemId, candidates, vectorFilter);
+  };
+
+  // Matches whose MongoDB document is gone are dropped, so ask for more
+  // until topK remain or the index has no more matches
+  let candidates = topK;
+  while (true) {
+    const matches = await queryMatches(candidates);
+    const results = await getMongoDBDocs(matches);
+    if (results.length >= topK || matches.length < candidates || candidates >= MAX_QUERY_TOP_K) {
+      return results.slice(0, topK);
+    }
+    candidates = Math.min(candidates * 2, MAX_QUERY_TOP_K);
   }
 }
 
-export { recommendById, getMongoDBDocs, getCollectionName, fetchFromMongoDB };
\ No newline at end of file
+// findSimilar that checks its options before any vector store or MongoDB call
+async function recommendById(itemId, topK = 10, options = {}) {
+  if (options.facets) validateFacetWeights(options.facets);
+  if (options.facets && options.crossMedia) throw new Error('Facets and cross-media ranking cannot be combined');
+  buildVectorFilter(options.filter);
+
+  return await findSimilar(itemId, topK, options);
+}
+
+export {
+  recommendById,
+  findSimilar,
+  validateFacetWeights,
+  fuseFacetMatches,
+  getVectorStore,
+  getMongoDBDocs,
+  getPairCalibration,
+  getCollectionName,
+  fetchFromMongoDB,
+};
\ No newline at end of file
@@ -1,245 +1,216 @@
-import { MongoClient } from 'mongodb';
 import { config } from "dotenv";
 config();
-import OpenAI from 'openai';
-import { recommendById } from './recommendById.js';
+import { mongoClient } from './mongo.js';
 import { ObjectId } from 'mongodb';
+import { CONTENT_TYPES, getContentType, getCollectionName } from '../config/contentTypes.js';
+import { resolvePath } from '../ingestion/templates.js';
+import { getTasteProfile, queryTasteProfile, rankPlanned } from './tasteProfile.js';
+import { toListEntry, entrySignal } from './listEntries.js';
 
-// Initialize clients
-const mongoClient = new MongoClient(process.env.MONGODB_URI);
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Candidates taken from each group member, as a multiple of topK
+const GROUP_CANDIDATES = 3;
 
-// Get user content lists using aggregation
+// What recommendForUser does with items the user plans to get to
+const PLANNED_MODES = ['exclude', 'separate'];
+
+// How a group's member scores become one score
+const GROUP_STRATEGIES = {
+  average: scores => scores.reduce((sum, score) => sum + score, 0) / scores.length,
+  leastMisery: scores => Math.min(...scores),
+  mostPleasure: scores => Math.max(...scores),
+};
+
+// Get user content lists using aggregation, null for unknown users
 async function getUserContentLists(userId) {
-  try {
-    if (!mongoClient.topology || !mongoClient.topology.isConnected()) {
-      await mongoClient.connect();
-    }
+  if (!mongoClient.topology || !mongoClient.topology.isConnected()) {
+    await mongoClient.connect();
+  }
 
-    const db = mongoClient.db();
-    const pipeline = [
-      { $match: { user_id: userId } },
-      {
-        $lookup: {
-          from: "anime-lists",
-          localField: "user_id",
-          foreignField: "user_id",
-          as: "anime_lists"
-        }
-      },
-      {
-        $lookup: {
-          from: "game-lists",
-          localField: "user_id",
-          foreignField: "user_id",
-          as: "game_lists"
-        }
-      },
-      {
-        $lookup: {
-          from: "movie-watch-lists",
-          localField: "user_id",
-          foreignField: "user_id",
-          as: "movie_watch_lists"
-        }
-      },
-      {
-        $lookup: {
-          from: "tvseries-watch-lists",
-          localField: "user_id",
-          foreignField: "user_id",
-          as: "tvseries_watch_lists"
-        }
+  const db = mongoClient.db();
+  const pipeline = [
+    { $match: { user_id: userId } },
+    // One lookup per content type's user list
+    ...CONTENT_TYPES.map(({ userList }) => ({
+      $lookup: {
+        from: userList.collection,
+        localField: "user_id",
+        foreignField: "user_id",
+        as: userList.as
       }
-    ];
+    }))
+  ];
 
-    const result = await db.collection('user-lists').aggregate(pipeline).toArray();
-    return result[0] || null;
-  } catch (error) {
-    console.error(`Error fetching user content lists: ${error.message}`);
-    return null;
-  }
+  const result = await db.collection('user-lists').aggregate(pipeline).toArray();
+  return result[0] || null;
 }
 
-// Extract content IDs and details from user lists
+// Extract content IDs, list entries ({ id, score, date, status }) and
+// details from user lists, keyed by content type. liked holds the
+// details of entries that speak for the user's taste, planned the IDs
+// of entries they haven't got to yet (see entrySignal).
 async function extractUserContent(userLists) {
-  if (!userLists) return {
-    movies: [], tvSeries: [], animes: [], games: [],
-    movieDetails: [], tvSeriesDetails: [], animeDetails: [], gameDetails: []
-  };
+  const entries = await Promise.all(CONTENT_TYPES.map(async ({ type, userList }) => {
+    const listEntries = (userLists?.[userList.as] || [])
+      .map(item => toListEntry(item, userList))
+      .filter(entry => entry.id);
+    const ids = listEntries.map(entry => entry.id);
+    const signals = new Map(listEntries.map(entry => [entry.id, entrySignal(entry, userList.scoreScale)]));
+    const details = await fetchContentDetails(ids, type);
+    const liked = details.filter(doc => signals.get(doc._id.toString()) === 'positive');
+    const planned = ids.filter(id => signals.get(id) === 'planned');
+    return [type, { ids, entries: listEntries, details, liked, planned }];
+  }));
+
+  return Object.fromEntries(entries);
+}
 
-  // Extract IDs
-  const contentIds = {
-    movies: [],
-    tvSeries: [],
-    animes: [],
-    games: []
-  };
+// Fetch content details from MongoDB
+async function fetchContentDetails(ids, contentType) {
+  if (!ids.length) return [];
 
-  // Extract movie IDs
-  if (userLists.movie_watch_lists) {
-    contentIds.movies = userLists.movie_watch_lists
-      .filter(item => item.movie_id)
-      .map(item => item.movie_id);
+  if (!mongoClient.topology || !mongoClient.topology.isConnected()) {
+    await mongoClient.connect();
   }
 
-  // Extract TV series IDs
-  if (userLists.tvseries_watch_lists) {
-    contentIds.tvSeries = userLists.tvseries_watch_lists
-      .filter(item => item.tvseries_id || item.tv_id)
-      .map(item => item.tvseries_id || item.tv_id);
-  }
+  const db = mongoClient.db();
+  const collectionName = getCollectionName(contentType);
+  const collection = db.collection(collectionName);
 
-  // Extract anime IDs
-  if (userLists.anime_lists) {
-    contentIds.animes = userLists.anime_lists
-      .filter(item => item.anime_id)
-      .map(item => item.anime_id);
+  // Convert string IDs to ObjectIDs where possible
+  const objectIdQueries = [];
+  const stringIdQueries = [];
+
+  for (const id of ids) {
+    if (!id) continue;
+
+    try {
+      objectIdQueries.push({ _id: new ObjectId(id) });
+    } catch (e) {
+      stringIdQueries.push({ _id: id });
+    }
   }
 
-  // Extract game IDs
-  if (userLists.game_lists) {
-    contentIds.games = userLists.game_lists
-      .filter(item => item.game_id)
-      .map(item => item.game_id);
+  // If we have no valid queries, return empty array
+  if (objectIdQueries.length === 0 && stringIdQueries.length === 0) {
+    console.log(`No valid ID queries for ${contentType}`);
+    return [];
   }
 
-  // Fetch details for each content type
-  const [movieDetails, tvSeriesDetails, animeDetails, gameDetails] = await Promise.all([
-    fetchContentDetails(contentIds.movies, 'movie'),
-    fetchContentDetails(contentIds.tvSeries, 'tvseries'),
-    fetchContentDetails(contentIds.animes, 'anime'),
-    fetchContentDetails(contentIds.games, 'game')
-  ]);
-
-  return {
-    ...contentIds,
-    movieDetails,
-    tvSeriesDetails,
-    animeDetails,
-    gameDetails
+  const query = {
+    $or: [...objectIdQueries, ...stringIdQueries]
   };
-}
-
-// Fetch content details from MongoDB
-async function fetchContentDetails(ids, contentType) {
-  if (!ids.length) return [];
 
-  try {
-    if (!mongoClient.topology || !mongoClient.topology.isConnected()) {
-      await mongoClient.connect();
-    }
-
-    const db = mongoClient.db();
-    const collectionName = getCollectionName(contentType);
-    const collection = db.collection(collectionName);
+  const results = await collection.find(query).toArray();
+  console.log(`Found ${results.length} ${contentType} items out of ${ids.length} IDs`);
+  return results;
+}
 
-    // Convert string IDs to ObjectIDs where possible
-    const objectIdQueries = [];
-    const stringIdQueries = [];
+// Get recommendations for a specific content type with prioritization
+async function getRecommendationsByType(userId, { liked: contentData, entries }, contentType, perTypeCount, userContentSet) {
+  if (!contentData.length) return [];
 
-    for (const id of ids) {
-      if (!id) continue;
+  // Step 1: First prioritize series/sequels for each item the user liked
+  const sequelRecs = await findSequelsAndSeries(contentData, contentType, userContentSet);
 
-      try {
-        objectIdQueries.push({ _id: new ObjectId(id) });
-      } catch (e) {
-        stringIdQueries.push({ _id: id });
-      }
-    }
+  // If we have enough sequel recommendations, return them
+  if (sequelRecs.length >= perTypeCount) {
+    return sequelRecs.slice(0, perTypeCount);
+  }
 
-    // If we have no valid queries, return empty array
-    if (objectIdQueries.length === 0 && stringIdQueries.length === 0) {
-      console.log(`No valid ID queries for ${contentType}`);
-      return [];
-    }
+  // Step 2: For remaining slots, get recommendations close to the user's taste profile
+  const remainingCount = perTypeCount - sequelRecs.length;
+  const excluded = new Set([...userContentSet, ...sequelRecs.map(rec => rec.id)]);
+  const similarityRecs = await getProfileRecommendations(userId, entries, contentType, remainingCount, excluded);
 
-    const query = {
-      $or: [...objectIdQueries, ...stringIdQueries]
-    };
+  // Combine sequel and similarity recommendations
+  return [...sequelRecs, ...similarityRecs];
+}
 
-    const results = await collection.find(query).toArray();
-    console.log(`Found ${results.length} ${contentType} items out of ${ids.length} IDs`);
-    return results;
-  } catch (error) {
-    console.error(`Error fetching ${contentType} details: ${error.message}`);
+// Items closest to the user's taste profile of the type, none of the excluded.
+// targetType recommends another type from it (see queryTasteProfile).
+async function getProfileRecommendations(userId, entries, contentType, count, excluded, { targetType = contentType, crossMedia = false } = {}) {
+  const profile = await getTasteProfile(userId, contentType, entries, { scoreScale: getContentType(contentType).userList.scoreScale });
+  if (!profile) {
+    console.log(`No vectors for the ${contentType} items of user ${userId}`);
     return [];
   }
+  return await queryTasteProfile(profile, count, targetType, excluded, { crossMedia });
 }
 
-// Get collection name from content type
-function getCollectionName(type) {
-  switch (type) {
-    case 'movie': return 'movies';
-    case 'tvseries': return 'tv-series';
-    case 'anime': return 'animes';
-    case 'game': return 'games';
-    default: throw new Error(`Unknown content type: ${type}`);
+// Items of the target type closest to the user's taste profiles of the
+// source types, scored by calibrated similarity so the profiles compare.
+// An item close to several profiles keeps its best score. Returns a Map
+// by ID, best first.
+async function getCrossMediaCandidates(userId, userData, sourceTypes, targetType, count, excluded) {
+  const lists = await Promise.all(sourceTypes
+    .filter(type => userData[type].liked.length > 0)
+    .map(type => getProfileRecommendations(userId, userData[type].entries, type, count, excluded, { targetType, crossMedia: true })));
+
+  const best = new Map();
+  for (const rec of lists.flat().sort((a, b) => b.score - a.score)) {
+    if (!best.has(rec.id)) best.set(rec.id, rec);
   }
+  return best;
 }
 
-// Get recommendations for a specific content type with prioritization
-async function getRecommendationsByType(contentData, contentType, perTypeCount, userContentSet) {
-  if (!contentData.length) return [];
-
-  try {
-    // Step 1: First prioritize series/sequels for each item
-    const sequelRecs = await findSequelsAndSeries(contentData, contentType, userContentSet);
-
-    // If we have enough sequel recommendations, return them
-    if (sequelRecs.length >= perTypeCount) {
-      return sequelRecs.slice(0, perTypeCount);
-    }
-
-    // Step 2: For remaining slots, get similarity-based recommendations
-    const remainingCount = perTypeCount - sequelRecs.length;
+// ------------------------------------------------------------------
+// Cross-media recommendations of one target type, drawn from the
+// user's taste profiles of every source type, so a user who only logs
+// anime still gets games. Sequels of the user's own items of the
+// target type come first, as in getRecommendationsByType.
+// ------------------------------------------------------------------
+async function getCrossMediaRecommendations(userId, userData, sourceTypes, targetType, perTypeCount, userContentSet) {
+  const own = userData[targetType].liked;
+  const sequelRecs = own.length ? await findSequelsAndSeries(own, targetType, userContentSet) : [];
+  if (sequelRecs.length >= perTypeCount) {
+    return sequelRecs.slice(0, perTypeCount);
+  }
 
-    // Use a sample of user's content for recommendations (up to 3 items)
-    const sampleIds = contentData.slice(0, 3).map(item => item._id?.toString() || item.id?.toString());
+  const remainingCount = perTypeCount - sequelRecs.length;
+  const excluded = new Set([...userContentSet, ...sequelRecs.map(rec => rec.id)]);
+  const candidates = await getCrossMediaCandidates(userId, userData, sourceTypes, targetType, remainingCount, excluded);
+  return [...sequelRecs, ...[...candidates.values()].slice(0, remainingCount)];
+}
 
-    // Make sure we have valid IDs
-    const validSampleIds = sampleIds.filter(Boolean);
+// Similar items of one type for one group member by ID: close to the
+// member's taste profile, or with crossMedia to their profiles of each
+// source type (see getCrossMediaCandidates)
+async function getMemberCandidates(userId, userData, sourceTypes, targetType, count, excluded, crossMedia) {
+  if (crossMedia) return await getCrossMediaCandidates(userId, userData, sourceTypes, targetType, count, excluded);
 
-    if (validSampleIds.length === 0) {
-      console.log(`No valid IDs found for ${contentType} recommendations`);
-      return sequelRecs;
-    }
+  const recs = await getProfileRecommendations(userId, userData[targetType].entries, targetType, count, excluded);
+  return new Map(recs.map(rec => [rec.id, rec]));
+}
 
-    // Get recommendations based on vector similarity
-    const similarityPromises = validSampleIds.map(async id => {
-      try {
-        const recs = await recommendById(id, Math.ceil(remainingCount / validSampleIds.length) * 2);
-        return recs || [];
-      } catch (error) {
-        console.error(`Error getting recommendations for ID ${id}: ${error.message}`);
-        return [];
-      }
-    });
-
-    // Wait for all recommendation requests to complete
-    const allRecommendations = await Promise.all(similarityPromises);
-
-    // Combine and filter recommendations
-    const similarityRecs = allRecommendations
-      .flat()
-      .filter(rec =>
-        // Make sure the recommendation is valid
-        rec && rec.type && rec.id &&
-        // Must be the right content type
-        rec.type === contentType &&
-        // Must not be in user's content list
-        !userContentSet.has(rec.id) &&
-        // Must not already be in sequel recommendations
-        !sequelRecs.some(seqRec => seqRec.id === rec.id)
-      )
-      .slice(0, remainingCount);
-
-    // Combine sequel and similarity recommendations
-    return [...sequelRecs, ...similarityRecs];
-  } catch (error) {
-    console.error(`Error in getRecommendationsByType for ${contentType}: ${error.message}`);
-    return sequelRecs || [];
+// ------------------------------------------------------------------
+// Rank the union of the members' candidates for the whole group. A
+// candidate missing from a member's list scored below everything in
+// it, so it gets that list's lowest score for the member. The member
+// scores are combined by the strategy, and fits lists the members
+// whose own candidates included the result, best match first. Members
+// without candidates (nothing of the type logged) are left out.
+// ------------------------------------------------------------------
+function rankForGroup(memberCandidates, topK, strategy) {
+  const rated = memberCandidates.filter(({ candidates }) => candidates.size > 0);
+  const floors = rated.map(({ candidates }) => Math.min(...[...candidates.values()].map(rec => rec.score)));
+  const pool = new Map();
+  for (const { candidates } of rated) {
+    for (const [id, rec] of candidates) if (!pool.has(id)) pool.set(id, rec);
   }
+
+  return [...pool.values()]
+    .map(rec => {
+      const memberScores = Object.fromEntries(rated.map(({ userId, candidates }, i) =>
+        [userId, candidates.get(rec.id)?.score ?? floors[i]]));
+      const fits = rated
+        .filter(({ candidates }) => candidates.has(rec.id))
+        .map(({ userId }) => userId)
+        .sort((a, b) => memberScores[b] - memberScores[a]);
+      const { rawScore, facetScores, ...rest } = rec;
+      return { ...rest, score: GROUP_STRATEGIES[strategy](Object.values(memberScores)), memberScores, fits };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
 }
 
 // Find sequels and series content not yet consumed by user
@@ -382,111 +353,17 @@ function extractSeriesInfo(title) {
   return { seriesName, seriesNumber };
 }
 
-// Calculate similarity score between content items based on metadata
+// Calculate similarity score between content items based on the
+// weighted metadata fields of their content type
 function calculateMetadataSimilarity(content1, content2, contentType) {
-  let score = 0;
-
   // Base similarity score
-  score += 0.5;
-
-  switch (contentType) {
-    case 'anime':
-      // Compare genres
-      score += compareArrays(
-        getFieldArrayValues(content1, 'genres', 'name'),
-        getFieldArrayValues(content2, 'genres', 'name')
-      ) * 0.15;
-
-      // Compare demographics
-      score += compareArrays(
-        getFieldArrayValues(content1, 'demographics', 'name'),
-        getFieldArrayValues(content2, 'demographics', 'name')
-      ) * 0.15;
-
-      // Compare themes
-      score += compareArrays(
-        getFieldArrayValues(content1, 'themes', 'name'),
-        getFieldArrayValues(content2, 'themes', 'name')
-      ) * 0.10;
-
-      // Compare studios
-      score += compareArrays(
-        getFieldArrayValues(content1, 'studios', 'name'),
-        getFieldArrayValues(content2, 'studios', 'name')
-      ) * 0.10;
-      break;
-
-    case 'movie':
-      // Compare genres
-      score += compareArrays(
-        content1.genres || [],
-        content2.genres || []
-      ) * 0.20;
-
-      // Compare production companies
-      score += compareArrays(
-        getFieldArrayValues(content1, 'production_companies', 'name'),
-        getFieldArrayValues(content2, 'production_companies', 'name')
-      ) * 0.10;
-
-      // Compare actors (if first 3 match, likely a series)
-      score += compareArrays(
-        getFieldArrayValues(content1, 'actors', 'name').slice(0, 3),
-        getFieldArrayValues(content2, 'actors', 'name').slice(0, 3)
-      ) * 0.20;
-      break;
-
-    case 'tvseries':
-      // Compare genres
-      score += compareArrays(
-        content1.genres || [],
-        content2.genres || []
-      ) * 0.20;
-
-      // Compare networks
-      score += compareArrays(
-        getFieldArrayValues(content1, 'networks', 'name'),
-        getFieldArrayValues(content2, 'networks', 'name')
-      ) * 0.15;
-
-      // Compare production companies
-      score += compareArrays(
-        getFieldArrayValues(content1, 'production_companies', 'name'),
-        getFieldArrayValues(content2, 'production_companies', 'name')
-      ) * 0.05;
-
-      // Compare actors (main cast similarity)
-      score += compareArrays(
-        getFieldArrayValues(content1, 'actors', 'name').slice(0, 5),
-        getFieldArrayValues(content2, 'actors', 'name').slice(0, 5)
-      ) * 0.10;
-      break;
-
-    case 'game':
-      // Compare genres
-      score += compareArrays(
-        content1.genres || [],
-        content2.genres || []
-      ) * 0.20;
-
-      // Compare platforms
-      score += compareArrays(
-        content1.platforms || [],
-        content2.platforms || []
-      ) * 0.15;
-
-      // Compare developers
-      score += compareArrays(
-        content1.developers || [],
-        content2.developers || []
-      ) * 0.10;
-
-      // Compare publishers
-      score += compareArrays(
-        content1.publishers || [],
-        content2.publishers || []
-      ) * 0.05;
-      break;
+  let score = 0.5;
+
+  for (const { path, top, weight } of getContentType(contentType).similarity) {
+    score += compareArrays(
+      getFieldArrayValues(content1, path, top),
+      getFieldArrayValues(content2, path, top)
+    ) * weight;
   }
 
   return Math.min(0.99, score); // Cap at 0.99 to avoid exact match confusion
@@ -508,11 +385,11 @@ function compareArrays(array1 = [], array2 = []) {
   return unionCount === 0 ? 0 : intersectionCount / unionCount;
 }
 
-// Helper function to extract array field values
-function getFieldArrayValues(obj, fieldName, subField = null) {
-  const array = obj[fieldName] || [];
-  if (!subField) return array;
-  return array.map(item => item[subField]).filter(Boolean);
+// Helper function to extract array field values ("genres", "actors[].name")
+function getFieldArrayValues(obj, path, top = null) {
+  const value = resolvePath(obj, path);
+  const values = (Array.isArray(value) ? value : [value]).filter(Boolean);
+  return top ? values.slice(0, top) : values;
 }
 
 // Helper function to escape regex special characters
@@ -520,104 +397,172 @@ function escapeRegex(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-// Recommend based on user watch/play history
-async function recommendForUser(userIds = [], topK = 10) {
-  try {
-    if (!userIds.length) return [];
-
-    const userId = userIds[0];
-    console.log(`🔎 Generating recommendations for user ${userId}`);
+// Whether the user has a user-lists entry at all
+async function userExists(userId) {
+  if (!mongoClient.topology || !mongoClient.topology.isConnected()) {
+    await mongoClient.connect();
+  }
+  const user = await mongoClient.db().collection('user-lists').findOne({ user_id: userId }, { projection: { _id: 1 } });
+  return Boolean(user);
+}
 
-    // Get user content lists
+// ------------------------------------------------------------------
+// Group ("watch party") mode of recommendForUser. Every member's lists
+// are loaded, nothing any member has on a list is recommended, and the
+// members' candidates are ranked together by the strategy:
+//
+//   average       mean of the member scores
+//   leastMisery   the least happy member's score, nobody is left out
+//   mostPleasure  the happiest member's score, someone will love it
+//
+// Results carry memberScores and fits (see rankForGroup). Sequels are
+// not prioritised, since they only suit members who saw the original.
+// Members' planned items are excluded like the rest of their lists;
+// planned: 'separate' is single-user only.
+// ------------------------------------------------------------------
+async function recommendForGroup(userIds, topK, { types, crossMedia, sources, strategy }) {
+  const contentTypes = types ? CONTENT_TYPES.filter(({ type }) => types.includes(type)) : CONTENT_TYPES;
+  const sourceTypes = CONTENT_TYPES.filter(({ type }) => !sources || sources.includes(type)).map(({ type }) => type);
+  console.log(`👥 Generating ${strategy} group recommendations for ${userIds.length} users`);
+
+  const members = [];
+  for (const userId of userIds) {
     const userLists = await getUserContentLists(userId);
     if (!userLists) {
-      console.warn(`No user found with ID: ${userId}`);
-      return [];
+      console.warn(`No user found with ID: ${userId}, leaving them out of the group`);
+      continue;
     }
+    members.push({ userId, userData: await extractUserContent(userLists) });
+  }
+  if (members.length === 0) return [];
+
+  // Anything on any member's lists is already known to the group,
+  // including what a member plans to get to
+  const excluded = new Set(members.flatMap(({ userData }) => CONTENT_TYPES.flatMap(({ type }) => userData[type].ids)));
+
+  const results = await Promise.all(contentTypes.map(async ({ type }) => {
+    const memberCandidates = await Promise.all(members.map(async ({ userId, userData }) => ({
+      userId,
+      candidates: await getMemberCandidates(userId, userData, crossMedia ? sourceTypes : [type], type,
+        topK * GROUP_CANDIDATES, excluded, crossMedia),
+    })));
+    return rankForGroup(memberCandidates, topK, strategy);
+  }));
+
+  const allRecommendations = Object.fromEntries(contentTypes.map(({ key }, i) => [key, results[i]]));
+  const all = Object.values(allRecommendations).flat();
+  if (all.length === 0) {
+    console.warn("No recommendations found for the group");
+    return [];
+  }
 
-    // Extract content IDs and details
-    const userData = await extractUserContent(userLists);
-    console.log(`  • movies: ${userData.movieDetails.length}, tv: ${userData.tvSeriesDetails.length}, anime: ${userData.animeDetails.length}, games: ${userData.gameDetails.length}`);
+  console.log(`Returning group recommendations - ${contentTypes.map(({ key, label }) => `${label}: ${allRecommendations[key].length}`).join(', ')}`);
+  return { ...allRecommendations, all, members: members.map(({ userId }) => userId) };
+}
 
-    // If no content at all, return empty recommendations
-    const totalContent = userData.movieDetails.length + userData.tvSeriesDetails.length +
-      userData.animeDetails.length + userData.gameDetails.length;
+// Recommend based on user watch/play history. Pass types (["movie", "game"])
+// to only recommend those content types. Normally each type is recommended
+// from the user's items of that type; with crossMedia every type draws on
+// the user's items of all source types (sources, default every type).
+// Several userIds recommend for the group, ranked by strategy (see
+// recommendForGroup). Items the user plans to get to are never
+// recommended; planned: 'separate' returns them as planned, by type
+// and best fit to the user's taste first.
+// Returns [] when there is nothing to recommend from (unknown users,
+// no usable list entries), or empty types and the planned lists with
+// planned: 'separate'; MongoDB and vector store errors are thrown.
+async function recommendForUser(userIds = [], topK = 10, {
+  types = null, crossMedia = false, sources = null, strategy = 'average', planned = 'exclude',
+} = {}) {
+  if (!GROUP_STRATEGIES[strategy]) {
+    throw new Error(`Unknown group strategy "${strategy}" (known: ${Object.keys(GROUP_STRATEGIES).join(', ')})`);
+  }
+  if (!PLANNED_MODES.includes(planned)) {
+    throw new Error(`Unknown planned mode "${planned}" (known: ${PLANNED_MODES.join(', ')})`);
+  }
+  if (new Set(userIds).size > 1) {
+    if (planned === 'separate') throw new Error('planned: "separate" is only supported for a single user');
+    return await recommendForGroup([...new Set(userIds)], topK, { types, crossMedia, sources, strategy });
+  }
 
-    if (totalContent === 0) {
-      console.warn("User has no content to base recommendations on");
-      return [];
-    }
+  const contentTypes = types ? CONTENT_TYPES.filter(({ type }) => types.includes(type)) : CONTENT_TYPES;
+  const sourceTypes = crossMedia ? CONTENT_TYPES.filter(({ type }) => !sources || sources.includes(type)) : contentTypes;
 
-    // Create sets of user's content IDs for easy lookup
-    const userContentSets = {
-      movie: new Set(userData.movies.filter(Boolean)),
-      tvseries: new Set(userData.tvSeries.filter(Boolean)),
-      anime: new Set(userData.animes.filter(Boolean)),
-      game: new Set(userData.games.filter(Boolean))
-    };
-
-    // Get topK recommendations for EACH content type (not divided)
-    const perTypeCount = topK;
-
-    console.log(`Getting up to ${perTypeCount} recommendations for each content type...`);
-
-    // Get recommendations for each content type in parallel
-    const recommendationPromises = [
-      userData.movieDetails.length > 0 ?
-        getRecommendationsByType(userData.movieDetails, 'movie', perTypeCount, userContentSets.movie)
-          .catch(err => { console.error(`Error getting movie recommendations: ${err.message}`); return []; }) : [],
-      userData.tvSeriesDetails.length > 0 ?
-        getRecommendationsByType(userData.tvSeriesDetails, 'tvseries', perTypeCount, userContentSets.tvseries)
-          .catch(err => { console.error(`Error getting TV series recommendations: ${err.message}`); return []; }) : [],
-      userData.animeDetails.length > 0 ?
-        getRecommendationsByType(userData.animeDetails, 'anime', perTypeCount, userContentSets.anime)
-          .catch(err => { console.error(`Error getting anime recommendations: ${err.message}`); return []; }) : [],
-      userData.gameDetails.length > 0 ?
-        getRecommendationsByType(userData.gameDetails, 'game', perTypeCount, userContentSets.game)
-          .catch(err => { console.error(`Error getting game recommendations: ${err.message}`); return []; }) : []
-    ];
-
-    // Wait for all recommendation types to complete
-    const results = await Promise.all(recommendationPromises);
-    const [movieRecs, tvRecs, animeRecs, gameRecs] = results;
-
-    console.log(`Found recommendations - Movies: ${movieRecs.length}, TV: ${tvRecs.length}, Anime: ${animeRecs.length}, Games: ${gameRecs.length}`);
-
-    // Combine all recommendations but keep track of content type
-    const allRecommendations = {
-      movies: movieRecs || [],
-      tvSeries: tvRecs || [],
-      animes: animeRecs || [],
-      games: gameRecs || []
-    };
-
-    // Calculate total recommendations
-    const totalRecommendations =
-      allRecommendations.movies.length +
-      allRecommendations.tvSeries.length +
-      allRecommendations.animes.length +
-      allRecommendations.games.length;
-
-    // If no recommendations were found at all
-    if (totalRecommendations === 0) {
-      console.warn("No recommendations found for any content type");
-      return [];
-    }
+  if (!userIds.length) return [];
 
-    console.log(`Returning recommendations - Movies: ${allRecommendations.movies.length}, TV: ${allRecommendations.tvSeries.length}, Anime: ${allRecommendations.animes.length}, Games: ${allRecommendations.games.length}`);
+  const userId = userIds[0];
+  console.log(`🔎 Generating recommendations for user ${userId}`);
 
-    // Return all recommendations with content type information
-    return {
-      movies: allRecommendations.movies,
-      tvSeries: allRecommendations.tvSeries,
-      animes: allRecommendations.animes,
-      games: allRecommendations.games,
-      all: [...allRecommendations.movies, ...allRecommendations.tvSeries, ...allRecommendations.animes, ...allRecommendations.games]
-    };
-  } catch (error) {
-    console.error(`recommendForUser error: ${error.message}`);
+  // Get user content lists
+  const userLists = await getUserContentLists(userId);
+  if (!userLists) {
+    console.warn(`No user found with ID: ${userId}`);
     return [];
   }
+
+  // Extract content IDs and details
+  const userData = await extractUserContent(userLists);
+  console.log(`  • ${CONTENT_TYPES.map(({ key, type }) => `${key}: ${userData[type].details.length}`).join(', ')}`);
+
+  // The user's planned items apart from the recommendations, ranked by their taste profile.
+  // They are returned even when there is nothing to recommend.
+  const plannedLists = planned === 'separate'
+    ? Object.fromEntries(await Promise.all(contentTypes.map(async ({ type, key, userList }) => {
+      const profile = await getTasteProfile(userId, type, userData[type].entries, { scoreScale: userList.scoreScale });
+      return [key, await rankPlanned(profile, userData[type].planned, type)];
+    })))
+    : null;
+
+  // If nothing the user liked, return empty recommendations
+  const totalContent = sourceTypes.reduce((sum, { type }) => sum + userData[type].liked.length, 0);
+  const noRecommendations = () => plannedLists
+    ? { ...Object.fromEntries(contentTypes.map(({ key }) => [key, []])), all: [], planned: plannedLists }
+    : [];
+
+  if (totalContent === 0) {
+    console.warn("User has no content to base recommendations on");
+    return noRecommendations();
+  }
+
+  // Get topK recommendations for EACH content type (not divided)
+  const perTypeCount = topK;
+
+  console.log(`Getting up to ${perTypeCount} recommendations for each content type...`);
+
+  // Anything on any of the user's lists is already known to them
+  const allUserContent = new Set(CONTENT_TYPES.flatMap(({ type }) => userData[type].ids.map(String)));
+  const sourceTypeNames = sourceTypes.map(({ type }) => type).filter(type => userData[type].liked.length > 0);
+
+  // Get recommendations for each content type in parallel
+  const results = await Promise.all(contentTypes.map(({ type }) => {
+    if (crossMedia) {
+      return getCrossMediaRecommendations(userId, userData, sourceTypeNames, type, perTypeCount, allUserContent);
+    }
+
+    const { ids, liked } = userData[type];
+    if (liked.length === 0) return [];
+
+    // Set of user's content IDs for easy lookup
+    const userContentSet = new Set(ids.map(String));
+    return getRecommendationsByType(userId, userData[type], type, perTypeCount, userContentSet);
+  }));
+
+  // Keep recommendations grouped by content type
+  const allRecommendations = Object.fromEntries(
+    contentTypes.map(({ key }, i) => [key, results[i] || []])
+  );
+  const all = Object.values(allRecommendations).flat();
+
+  // If no recommendations were found at all
+  if (all.length === 0) {
+    console.warn("No recommendations found for any content type");
+    return noRecommendations();
+  }
+
+  console.log(`Returning recommendations - ${contentTypes.map(({ key, label }) => `${label}: ${allRecommendations[key].length}`).join(', ')}`);
+
+  // Return all recommendations with content type information
+  return { ...allRecommendations, all, ...(plannedLists ? { planned: plannedLists } : {}) };
 }
 
-export { recommendForUser };
\ No newline at end of file
+export { GROUP_STRATEGIES, PLANNED_MODES, recommendForUser, userExists };
\ No newline at end of file
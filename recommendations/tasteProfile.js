@@ -0,0 +1,329 @@
+import { createHash } from 'crypto';
+import { mongoClient } from './mongo.js';
+import { getVectorStore, getMongoDBDocs, getPairCalibration } from './recommendById.js';
+import { calibrateScore } from '../ingestion/calibration.js';
+import { entrySignal } from './listEntries.js';
+
+const PROFILE_COLLECTION = 'taste-profiles';
+// An item logged this long ago counts half as much as one logged today
+const RECENCY_HALF_LIFE_DAYS = 365;
+// Weight of items the user didn't score, between a 5 and a 6 out of 10
+const UNSCORED_WEIGHT = 0.55;
+// Only the heaviest items make it into the profile
+const MAX_PROFILE_ITEMS = 500;
+const MAX_CENTROIDS = 4;
+// A user needs this many items per taste before it gets its own centroid
+const ITEMS_PER_CENTROID = 10;
+// Fewer items than this are outliers rather than a taste
+const MIN_CENTROID_ITEMS = 3;
+const KMEANS_ITERATIONS = 20;
+// Rebuild unchanged profiles now and then, recency weights drift
+const PROFILE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const FETCH_BATCH_SIZE = 100;
+// Pinecone's largest topK for queries without metadata
+const MAX_QUERY_TOP_K = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How hard being closer to a disliked item than to the taste pushes a candidate down
+const DISLIKE_WEIGHT = 1;
+// Candidates considered per result slot, so disliked ones can be passed over
+const CANDIDATES_PER_SLOT = 3;
+
+// ------------------------------------------------------------------
+// A user's taste in one content type as up to MAX_CENTROIDS weighted
+// centroids of their items' vectors. Every item is weighted by its
+// recency and the user's score; a weighted spherical k-means splits
+// mixed tastes (mecha and slice of life) into their own centroids so
+// one doesn't drown out the other. Dropped and low-scored items are
+// clustered the same way into dislikes, planned items are left out
+// (see entrySignal). Profiles are cached in taste-profiles until the
+// user's entries of the type change, the live index changes or
+// PROFILE_MAX_AGE_MS passes. Returns null when none of the liked items
+// has a vector.
+//
+// entries are [{ id, score, date, status }] as toListEntry builds them.
+// ------------------------------------------------------------------
+async function getTasteProfile(userId, type, entries, { scoreScale = 10 } = {}) {
+  if (entries.length === 0) return null;
+  if (!mongoClient.topology || !mongoClient.topology.isConnected()) {
+    await mongoClient.connect();
+  }
+  const db = mongoClient.db();
+  const vectorStore = await getVectorStore();
+  const signature = profileSignature(entries, vectorStore.indexName);
+
+  const cached = await db.collection(PROFILE_COLLECTION).findOne({ _id: `${userId}:${type}` });
+  if (cached && cached.signature === signature && Date.now() - cached.built_at.getTime() < PROFILE_MAX_AGE_MS) {
+    return cached.centroids.length > 0 ? cached : null;
+  }
+
+  const signals = entries.map(entry => entrySignal(entry, scoreScale));
+  const liked = await fetchVectors(vectorStore, weighEntries(entries.filter((_, i) => signals[i] === 'positive'), scoreScale));
+  const disliked = await fetchVectors(vectorStore, weighEntries(entries.filter((_, i) => signals[i] === 'negative'), scoreScale, { negative: true }));
+
+  const centroids = clusterTaste(liked);
+  const profile = {
+    user_id: userId,
+    type,
+    index: vectorStore.indexName,
+    signature,
+    items: liked.length,
+    centroids,
+    disliked_items: disliked.length,
+    dislikes: clusterTaste(disliked),
+    built_at: new Date(),
+  };
+  await db.collection(PROFILE_COLLECTION).updateOne({ _id: `${userId}:${type}` }, { $set: profile }, { upsert: true });
+  console.log(`🧭 Built ${type} taste profile of user ${userId}: ${centroids.length} centroids from ${liked.length} items, ` +
+    `${profile.dislikes.length} from ${disliked.length} disliked`);
+  return centroids.length > 0 ? profile : null;
+}
+
+// Entries, scores, statuses and dates the profile was built from, and the index the vectors came from
+function profileSignature(entries, indexName) {
+  const lines = entries
+    .map(({ id, score, status, date }) => `${id}:${score ?? ''}:${status ?? ''}:${date ? date.getTime() : ''}`)
+    .sort();
+  return createHash('sha256').update(`${indexName}\n${lines.join('\n')}`).digest('hex');
+}
+
+// Recency halves the weight every RECENCY_HALF_LIFE_DAYS; undated entries
+// get the median age of the dated ones rather than counting as new.
+// Scores scale it by score / scoreScale, or for dislikes by how far below
+// the top they are (an unscored dropped item counts fully). Heaviest
+// first, capped at MAX_PROFILE_ITEMS; duplicates keep their heaviest entry.
+function weighEntries(entries, scoreScale, { negative = false, now = Date.now() } = {}) {
+  const ageOf = date => Math.max(0, now - date.getTime()) / DAY_MS;
+  const undatedAge = median(entries.filter(entry => entry.date).map(entry => ageOf(entry.date)));
+  const weights = new Map();
+  for (const { id, score, date } of entries) {
+    const age = date ? ageOf(date) : undatedAge;
+    const recency = 0.5 ** (age / RECENCY_HALF_LIFE_DAYS);
+    const share = typeof score === 'number' && score > 0 ? Math.min(score / scoreScale, 1) : null;
+    const rating = negative ? (share === null ? 1 : 1 - share) : share ?? UNSCORED_WEIGHT;
+    const weight = recency * rating;
+    if (!weights.has(id) || weights.get(id) < weight) weights.set(id, weight);
+  }
+  return [...weights]
+    .map(([id, weight]) => ({ id, weight }))
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, MAX_PROFILE_ITEMS);
+}
+
+// Normalized vectors of weighted entries; entries without a vector are left out
+async function fetchVectors(vectorStore, weighted) {
+  const items = [];
+  for (let i = 0; i < weighted.length; i += FETCH_BATCH_SIZE) {
+    const batch = weighted.slice(i, i + FETCH_BATCH_SIZE);
+    const { records } = await vectorStore.fetch(batch.map(entry => entry.id));
+    for (const entry of batch) {
+      const values = records?.[entry.id]?.values;
+      if (values?.length) items.push({ id: entry.id, weight: entry.weight, values: normalize(values) });
+    }
+  }
+  return items;
+}
+
+// ------------------------------------------------------------------
+// Weighted spherical k-means. k grows with the number of items, up to
+// MAX_CENTROIDS, and shrinks again while a centroid would stand for
+// fewer than MIN_CENTROID_ITEMS items. Seeds are picked
+// deterministically: the heaviest item, then each time the item
+// furthest from the chosen seeds (scaled by its weight), so the same
+// list always gives the same profile. Returns [{ values, weight, size }]
+// with weights summing to 1, heaviest first.
+// ------------------------------------------------------------------
+function clusterTaste(items) {
+  if (items.length === 0) return [];
+  for (let k = Math.min(MAX_CENTROIDS, Math.floor(items.length / ITEMS_PER_CENTROID)); k > 1; k--) {
+    const centroids = kMeans(items, k);
+    if (centroids.every(centroid => centroid.size >= MIN_CENTROID_ITEMS)) return centroids;
+  }
+  return kMeans(items, 1);
+}
+
+function kMeans(items, k) {
+  let centroids = [items[0].values];
+  while (centroids.length < k) {
+    const next = items.reduce((best, item) => {
+      const distance = item.weight * (1 - Math.max(...centroids.map(centroid => dot(centroid, item.values))));
+      return distance > best.distance ? { item, distance } : best;
+    }, { item: null, distance: 0 });
+    if (!next.item) break;
+    centroids.push(next.item.values);
+  }
+
+  let assignment = [];
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    const next = items.map(item => {
+      let best = 0;
+      for (let c = 1; c < centroids.length; c++) {
+        if (dot(centroids[c], item.values) > dot(centroids[best], item.values)) best = c;
+      }
+      return best;
+    });
+    if (next.every((c, i) => c === assignment[i])) break;
+    assignment = next;
+    centroids = centroids.map((centroid, c) => {
+      const members = items.filter((_, i) => assignment[i] === c);
+      return members.length > 0 ? normalize(weightedSum(members)) : centroid;
+    });
+  }
+
+  const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+  return centroids
+    .map((values, c) => {
+      const members = items.filter((_, i) => assignment[i] === c);
+      const weight = members.reduce((sum, item) => sum + item.weight, 0) / totalWeight;
+      return { values, weight, size: members.length };
+    })
+    .filter(centroid => centroid.size > 0)
+    .sort((a, b) => b.weight - a.weight);
+}
+
+// ------------------------------------------------------------------
+// Items of the type closest to the profile. Every centroid is queried
+// once and gets a share of topK by its weight (at least one), so a
+// minor taste still shows up; leftover slots go to the best remaining
+// matches. Candidates closer to something the user disliked than to
+// their taste are pushed down (see dislikePenalty), which is why a few
+// candidates are considered per slot. Excluded IDs (the user's own
+// items) are skipped, so each query asks for that many extra. Results
+// are sorted by score.
+//
+// type may differ from the profile's own type. With crossMedia scores
+// are calibrated for the profile's type and type (see
+// ingestion/calibration.js), so lists drawn from different profiles
+// compare, and the raw similarity stays in rawScore.
+// ------------------------------------------------------------------
+async function queryTasteProfile(profile, topK, type, excluded = new Set(), { crossMedia = false } = {}) {
+  const vectorStore = await getVectorStore();
+  const calibration = crossMedia ? await getPairCalibration(vectorStore.indexName, profile.type, type) : undefined;
+  const lists = await Promise.all(profile.centroids.map(async centroid => {
+    const res = await vectorStore.query({
+      vector: centroid.values,
+      topK: Math.min(topK * CANDIDATES_PER_SLOT + excluded.size, MAX_QUERY_TOP_K),
+      filter: { type },
+    });
+    return (res.matches || [])
+      .filter(match => !excluded.has(match.id))
+      .map(match => ({ id: match.id, score: match.score, metadata: { type } }));
+  }));
+
+  // A match found by several centroids keeps its best score
+  const best = new Map();
+  for (const match of lists.flat()) {
+    if (!best.has(match.id) || best.get(match.id).score < match.score) best.set(match.id, match);
+  }
+
+  // Each centroid's first candidates and the best overall, scored against the dislikes
+  const shares = allocateShares(topK, profile.centroids.map(centroid => centroid.weight));
+  const pool = [
+    ...lists.flatMap((list, c) => list.slice(0, shares[c] * CANDIDATES_PER_SLOT)),
+    ...[...best.values()].sort(byScore).slice(0, topK * CANDIDATES_PER_SLOT),
+  ].map(match => best.get(match.id));
+  const scored = await scoreAgainstDislikes(vectorStore, profile.dislikes, pool);
+
+  const picked = new Map();
+  profile.centroids.forEach((centroid, c) => {
+    const ranked = lists[c].filter(match => scored.has(match.id) && !picked.has(match.id)).map(match => scored.get(match.id));
+    for (const match of ranked.sort(byScore).slice(0, shares[c])) picked.set(match.id, match);
+  });
+  // Extra candidates make up for matches whose document is gone
+  for (const match of [...scored.values()].sort(byScore)) {
+    if (picked.size >= topK * 2) break;
+    if (!picked.has(match.id)) picked.set(match.id, match);
+  }
+
+  const matches = [...picked.values()].map(match => crossMedia
+    ? { ...match, rawScore: match.score, score: calibration ? calibrateScore(match.score, calibration) : match.score }
+    : match);
+  const docs = await getMongoDBDocs(matches);
+  return docs.slice(0, topK).sort(byScore);
+}
+
+// The user's planned items of the type, best fit to the profile first.
+// Items without a vector are left out. Without a profile (nothing of the
+// type rated yet) they keep their list order and have no score.
+async function rankPlanned(profile, ids, type) {
+  if (ids.length === 0) return [];
+  if (!profile) return await getMongoDBDocs(ids.map(id => ({ id, metadata: { type } })));
+  const vectorStore = await getVectorStore();
+  const items = await fetchVectors(vectorStore, ids.map(id => ({ id, weight: 1 })));
+  const matches = items.map(({ id, values }) => {
+    const score = Math.max(...profile.centroids.map(centroid => dot(centroid.values, values)));
+    return { id, score: dislikePenalty(profile.dislikes, values, score), metadata: { type } };
+  });
+  return (await getMongoDBDocs(matches)).sort(byScore);
+}
+
+// Matches by ID with their scores after dislikePenalty
+async function scoreAgainstDislikes(vectorStore, dislikes, matches) {
+  const scored = new Map(matches.map(match => [match.id, match]));
+  if (!dislikes?.length || scored.size === 0) return scored;
+
+  const items = await fetchVectors(vectorStore, [...scored.keys()].map(id => ({ id, weight: 1 })));
+  for (const { id, values } of items) {
+    const match = scored.get(id);
+    scored.set(id, { ...match, score: dislikePenalty(dislikes, values, match.score) });
+  }
+  return scored;
+}
+
+// A candidate closer to a disliked centroid than to the taste loses the
+// difference (times DISLIKE_WEIGHT); others keep their score
+function dislikePenalty(dislikes, values, score) {
+  if (!dislikes?.length) return score;
+  const dislike = Math.max(...dislikes.map(centroid => dot(centroid.values, values)));
+  return dislike > score ? score - DISLIKE_WEIGHT * (dislike - score) : score;
+}
+
+// 0 for no values
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function byScore(a, b) {
+  return b.score - a.score;
+}
+
+// Split topK by weight (largest remainder), at least one slot per weight while they last
+function allocateShares(topK, weights) {
+  const shares = weights.map(weight => Math.max(1, Math.floor(topK * weight)));
+  let total = shares.reduce((sum, share) => sum + share, 0);
+  // Too many slots: take from the most over-served weight, the lightest last
+  while (total > topK) {
+    const spare = shares.map((share, c) => [c, share - topK * weights[c]]).filter(([c]) => shares[c] > 1);
+    const c = spare.length > 0 ? spare.sort((a, b) => b[1] - a[1])[0][0] : shares.findLastIndex(share => share > 0);
+    shares[c]--;
+    total--;
+  }
+  const byRemainder = weights.map((weight, c) => [c, topK * weight - shares[c]]).sort((a, b) => b[1] - a[1]);
+  for (let i = 0; total < topK; i = (i + 1) % byRemainder.length, total++) {
+    shares[byRemainder[i][0]]++;
+  }
+  return shares;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function normalize(values) {
+  const norm = Math.sqrt(dot(values, values));
+  return norm > 0 ? values.map(value => value / norm) : values;
+}
+
+function weightedSum(items) {
+  const sum = new Array(items[0].values.length).fill(0);
+  for (const { values, weight } of items) {
+    for (let i = 0; i < values.length; i++) sum[i] += values[i] * weight;
+  }
+  return sum;
+}
+
+export { PROFILE_COLLECTION, getTasteProfile, queryTasteProfile, rankPlanned, clusterTaste, weighEntries };
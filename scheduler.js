@@ -0,0 +1,111 @@
+import 'dotenv/config';  // Load .env into process.env
+
+import { MongoClient } from 'mongodb';
+import { loadSchedules, executeJob, listJobRuns, markAbandonedRuns, getRunLock, startScheduler, nextRun } from './scheduler/index.js';
+import { parseSchedulerArgs, USAGE } from './scheduler/cli.js';
+
+// Jobs with their next run and how they last ended
+async function printJobs(db, jobs) {
+  const lock = await getRunLock(db);
+  console.log(lock
+    ? `🔒 Run lock held by ${lock.job} on ${lock.host} since ${lock.acquired_at.toLocaleString()}`
+    : '🔓 Run lock is free');
+
+  const rows = [];
+  for (const job of jobs) {
+    const [last] = await listJobRuns(db, { job: job.name, limit: 1 });
+    rows.push({
+      job: job.name,
+      schedule: job.cron.expression,
+      enabled: job.enabled,
+      next: job.enabled ? nextRun(job.cron).toLocaleString() : null,
+      last_started: last?.started_at ?? null,
+      last_status: last?.status ?? null,
+    });
+  }
+  console.table(rows);
+}
+
+async function printHistory(db, options) {
+  const runs = await listJobRuns(db, { job: options.job, limit: options.limit });
+  console.log('🗓 Recent job runs:');
+  console.table(runs.map(run => ({
+    job: run.job,
+    trigger: run.trigger,
+    status: run.status,
+    started: run.started_at,
+    minutes: run.duration_ms ? Math.round(run.duration_ms / 6000) / 10 : null,
+    exit_code: run.exit_code ?? null,
+    reason: run.reason ?? null,
+  })));
+}
+
+// Resolves once the scheduler was asked to stop and its jobs have ended
+function runScheduler(db, jobs) {
+  return new Promise(resolve => {
+    const scheduler = startScheduler(db, jobs);
+    const stop = async signal => {
+      console.log(`🛑 ${signal} received, stopping the scheduler`);
+      await scheduler.stop();
+      resolve();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+}
+
+async function main(options) {
+  // Read the schedule first so a broken file fails before connecting
+  const jobs = loadSchedules(options.schedulesPath);
+
+  const mongo = new MongoClient(process.env.MONGODB_URI);
+  await mongo.connect();
+  const db = mongo.db();
+
+  try {
+    if (options.list) {
+      await printJobs(db, jobs);
+      return true;
+    }
+
+    if (options.history) {
+      await printHistory(db, options);
+      return true;
+    }
+
+    if (options.run) {
+      const job = jobs.find(candidate => candidate.name === options.run);
+      if (!job) throw new Error(`Unknown job "${options.run}" (jobs: ${jobs.map(j => j.name).join(', ')})`);
+      const entry = await executeJob(db, job, { trigger: 'manual' });
+      return entry.status === 'succeeded';
+    }
+
+    const abandoned = await markAbandonedRuns(db);
+    if (abandoned > 0) console.log(`🪦 Marked ${abandoned} runs of an earlier scheduler as abandoned`);
+    console.log(`🗓 Scheduler started with ${jobs.filter(job => job.enabled).length} enabled jobs`);
+    await runScheduler(db, jobs);
+    return true;
+  } finally {
+    await mongo.close();
+  }
+}
+
+let options;
+try {
+  options = parseSchedulerArgs(process.argv.slice(2));
+} catch (err) {
+  console.error(`❌ ${err.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+if (options.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+main(options).then(ok => {
+  process.exitCode = ok ? 0 : 1;
+}).catch(err => {
+  console.error('❌ Scheduler error:', err);
+  process.exit(1);
+});
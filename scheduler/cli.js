@@ -0,0 +1,58 @@
+import { parseArgs } from 'util';
+
+const USAGE = `Usage: node scheduler.js [options]
+
+Without options, runs the jobs in config/schedules.json on their schedules until stopped.
+
+Options:
+  --list                 Show jobs, their next run, last result and who holds the run lock
+  --run <job>            Run a job now, waiting for it to finish (disabled jobs too)
+  --history              Show recent job runs (--job to pick one, --limit, default 20)
+  --job <name>           Only show runs of this job in --history
+  --limit <n>            Number of runs in --history
+  --schedules <path>     Schedule file (default: SCHEDULES_PATH or config/schedules.json)
+  -h, --help             Show this help`;
+
+// Parse and validate argv, throwing on anything we can't act on
+function parseSchedulerArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      list: { type: 'boolean', default: false },
+      run: { type: 'string' },
+      history: { type: 'boolean', default: false },
+      job: { type: 'string' },
+      limit: { type: 'string' },
+      schedules: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const modes = ['list', 'run', 'history'].filter(mode => values[mode]);
+  if (modes.length > 1) {
+    throw new Error(`--${modes.join(' and --')} cannot be combined`);
+  }
+  if ((values.job || values.limit) && !values.history) {
+    throw new Error('--job and --limit are only valid with --history');
+  }
+
+  let limit = 20;
+  if (values.limit !== undefined) {
+    limit = Number(values.limit);
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new Error(`--limit must be a positive integer, got "${values.limit}"`);
+    }
+  }
+
+  return {
+    help: values.help,
+    list: values.list,
+    run: values.run ?? null,
+    history: values.history,
+    job: values.job ?? null,
+    limit,
+    schedulesPath: values.schedules,
+  };
+}
+
+export { parseSchedulerArgs, USAGE };
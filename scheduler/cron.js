@@ -0,0 +1,107 @@
+// ------------------------------------------------------------------
+// Five-field cron expressions, as used by crontab and pm2:
+//
+//   minute hour day-of-month month day-of-week
+//
+// Each field takes *, numbers, ranges (1-5), steps (*/15, 1-30/2) and
+// lists of those (1,15). Months and weekdays also take names (jan, mon);
+// Sunday is 0 or 7. As in cron, when both day fields are restricted a
+// day matching either one runs. Times are in the server's local time.
+// ------------------------------------------------------------------
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+function parseValue(value, field, expression) {
+  const named = field.names?.indexOf(value.toLowerCase()) ?? -1;
+  const number = named >= 0 ? named + (field.name === 'month' ? 1 : 0) : Number(value);
+  if (!Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} "${value}" in cron expression "${expression}"`);
+  }
+  return number;
+}
+
+function parseField(text, field, expression) {
+  const values = new Set();
+  for (const item of text.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in cron expression "${expression}"`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field, expression);
+      // "5/10" means every 10 starting at 5
+      to = end !== undefined ? parseValue(end, field, expression) : stepText !== undefined ? field.max : from;
+    }
+    if (from > to) throw new Error(`Invalid range "${range}" in cron expression "${expression}"`);
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" needs 5 fields: minute hour day-of-month month day-of-week`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i], expression));
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    expression,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+}
+
+function dayMatches(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay) return weekday;
+  if (cron.anyWeekday) return day;
+  return day || weekday;
+}
+
+// First minute strictly after `after` that matches the expression
+function nextRun(cron, after = new Date()) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Skip whole months, days and hours that can't match; five years is
+  // enough for any valid expression (a 29th of February on a Monday)
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + 5);
+  while (date < limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  throw new Error(`Cron expression "${cron.expression}" never matches`);
+}
+
+export { parseCron, nextRun };
@@ -0,0 +1,4 @@
+export { parseCron, nextRun } from './cron.js';
+export { LOCK_COLLECTION, acquireRunLock, getRunLock } from './lock.js';
+export { JOB_RUNS_COLLECTION, loadSchedules, executeJob, listJobRuns, markAbandonedRuns } from './jobs.js';
+export { startScheduler } from './scheduler.js';
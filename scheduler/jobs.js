@@ -0,0 +1,169 @@
+import os from 'os';
+import { spawn } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { parseCron } from './cron.js';
+import { acquireRunLock, getRunLock } from './lock.js';
+
+const DEFAULT_SCHEDULES_PATH = fileURLToPath(new URL('../config/schedules.json', import.meta.url));
+const ROOT_DIR = fileURLToPath(new URL('..', import.meta.url));
+const JOB_RUNS_COLLECTION = 'job-runs';
+// Lines of job output kept with its history entry
+const LOG_TAIL_LINES = 30;
+
+// ------------------------------------------------------------------
+// Jobs come from config/schedules.json (or SCHEDULES_PATH):
+//
+//   name         unique job name
+//   schedule     cron expression, see cron.js
+//   args         arguments for index.js, e.g. ["--reconcile", "--apply"]
+//   script       another script to run instead of index.js, relative to
+//                the repository root; it must exist
+//   nodeArgs     node flags, e.g. ["--max-old-space-size=3072"]
+//   timeoutMinutes  stop the job when it runs longer (default: no limit)
+//   enabled      false keeps the job off the schedule, it can still be run by hand
+// ------------------------------------------------------------------
+function loadSchedules(path = process.env.SCHEDULES_PATH || DEFAULT_SCHEDULES_PATH) {
+  const { jobs } = JSON.parse(readFileSync(path, 'utf8'));
+  if (!Array.isArray(jobs)) throw new Error(`${path} needs a "jobs" list`);
+
+  const names = new Set();
+  return jobs.map(job => {
+    if (!job.name || names.has(job.name)) throw new Error(`${path}: every job needs a unique name`);
+    names.add(job.name);
+    if (job.args !== undefined && !Array.isArray(job.args)) throw new Error(`${path}, job "${job.name}": args must be a list`);
+    if (job.nodeArgs !== undefined && !Array.isArray(job.nodeArgs)) throw new Error(`${path}, job "${job.name}": nodeArgs must be a list`);
+    if (job.script !== undefined && !existsSync(resolve(ROOT_DIR, job.script))) {
+      throw new Error(`${path}, job "${job.name}": script ${job.script} does not exist`);
+    }
+    return {
+      name: job.name,
+      cron: parseCron(job.schedule),
+      script: job.script || 'index.js',
+      args: job.args || [],
+      nodeArgs: job.nodeArgs || [],
+      timeoutMs: job.timeoutMinutes ? job.timeoutMinutes * 60000 : null,
+      enabled: job.enabled !== false,
+    };
+  });
+}
+
+// Run a job as a child process while holding the run lock, and record it in job-runs.
+// Scheduled runs are keyed by their slot, so with several schedulers only one runs it.
+// Resolves to the history entry, or null when another scheduler took the slot.
+async function executeJob(db, job, { trigger = 'manual', scheduledFor = null, onStart = null } = {}) {
+  const runs = db.collection(JOB_RUNS_COLLECTION);
+  const entry = {
+    _id: scheduledFor ? `${job.name}@${scheduledFor.toISOString()}` : `${job.name}@manual:${new Date().toISOString()}`,
+    job: job.name,
+    trigger,
+    scheduled_for: scheduledFor,
+    host: os.hostname(),
+    command: [job.script, ...job.args].join(' '),
+    status: 'running',
+    started_at: new Date(),
+  };
+  try {
+    await runs.insertOne(entry);
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+
+  const finish = async fields => {
+    const finishedAt = new Date();
+    Object.assign(entry, fields, { finished_at: finishedAt, duration_ms: finishedAt - entry.started_at });
+    await runs.updateOne({ _id: entry._id }, { $set: entry });
+    return entry;
+  };
+
+  const lock = await acquireRunLock(db, { job: job.name });
+  if (!lock) {
+    const holder = await getRunLock(db);
+    console.log(`⏸ Skipping ${job.name}: ${holder ? `${holder.job} is running on ${holder.host}` : 'the run lock is taken'}`);
+    return finish({ status: 'skipped', reason: holder ? `locked by ${holder.job} on ${holder.host}` : 'locked' });
+  }
+
+  try {
+    console.log(`▶️ Starting ${job.name} (${trigger}): node ${entry.command}`);
+    const { exitCode, signal, timedOut, logTail } = await spawnJob(job, lock.owner, onStart);
+    const ok = exitCode === 0;
+    console.log(`${ok ? '✅' : '❌'} ${job.name} finished with ${signal ? `signal ${signal}` : `exit code ${exitCode}`}` +
+      (timedOut ? ' after timing out' : ''));
+    return await finish({
+      status: ok ? 'succeeded' : 'failed',
+      exit_code: exitCode,
+      ...(signal ? { signal } : {}),
+      ...(timedOut ? { reason: 'timed out' } : {}),
+      log_tail: logTail,
+    });
+  } catch (err) {
+    console.error(`❌ ${job.name} could not be started:`, err.message || err);
+    return finish({ status: 'failed', reason: String(err.message || err) });
+  } finally {
+    await lock.release();
+  }
+}
+
+// Output is passed through with the job name in front, and its last lines are kept
+function spawnJob(job, lockOwner, onStart) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [...job.nodeArgs, job.script, ...job.args], {
+      cwd: ROOT_DIR,
+      env: { ...process.env, RUN_LOCK_OWNER: lockOwner },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    onStart?.(child);
+
+    const tail = [];
+    const forward = (stream, out) => {
+      let partial = '';
+      stream.on('data', chunk => {
+        const lines = (partial + chunk).split('\n');
+        partial = lines.pop();
+        for (const line of lines) {
+          out.write(`[${job.name}] ${line}\n`);
+          tail.push(line);
+        }
+        tail.splice(0, Math.max(0, tail.length - LOG_TAIL_LINES));
+      });
+    };
+    forward(child.stdout, process.stdout);
+    forward(child.stderr, process.stderr);
+
+    let timedOut = false;
+    const timer = job.timeoutMs && setTimeout(() => {
+      timedOut = true;
+      console.warn(`⏱ ${job.name} ran longer than ${job.timeoutMs / 60000} minutes, stopping it`);
+      child.kill('SIGTERM');
+    }, job.timeoutMs);
+
+    child.once('error', err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.once('close', (exitCode, signal) => {
+      clearTimeout(timer);
+      resolve({ exitCode, signal, timedOut, logTail: tail.join('\n') });
+    });
+  });
+}
+
+// Most recent runs first, optionally of one job
+async function listJobRuns(db, { job = null, limit = 20 } = {}) {
+  return db.collection(JOB_RUNS_COLLECTION).find(job ? { job } : {}).sort({ started_at: -1 }).limit(limit).toArray();
+}
+
+// Every run holds the lock, so with the lock free nothing can still be
+// running; entries left "running" belong to a scheduler that died
+async function markAbandonedRuns(db) {
+  if (await getRunLock(db)) return 0;
+  const { modifiedCount } = await db.collection(JOB_RUNS_COLLECTION).updateMany(
+    { status: 'running', started_at: { $lt: new Date(Date.now() - 60000) } },
+    { $set: { status: 'abandoned', finished_at: new Date() } }
+  );
+  return modifiedCount;
+}
+
+export { JOB_RUNS_COLLECTION, DEFAULT_SCHEDULES_PATH, loadSchedules, executeJob, listJobRuns, markAbandonedRuns };
@@ -0,0 +1,86 @@
+import os from 'os';
+import { randomUUID } from 'crypto';
+
+// ------------------------------------------------------------------
+// One writing run at a time, across processes and servers. The lock is
+// a document in job-locks that its owner keeps alive with a heartbeat;
+// a lock whose owner crashed expires after LOCK_TTL_MS and can be taken
+// over. A scheduler passes its owner token to the run it starts
+// (RUN_LOCK_OWNER), which then shares the scheduler's lock.
+// ------------------------------------------------------------------
+const LOCK_COLLECTION = 'job-locks';
+const LOCK_ID = 'ingestion';
+const LOCK_TTL_MS = 2 * 60 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+
+function newLockOwner() {
+  return `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+}
+
+// Resolves to a lock with release(), or null when someone else holds it
+async function acquireRunLock(db, { job, owner = null }) {
+  const locks = db.collection(LOCK_COLLECTION);
+
+  // Started by a scheduler that holds the lock on our behalf
+  if (owner && await locks.findOne({ _id: LOCK_ID, owner, expires_at: { $gte: new Date() } })) {
+    return { owner, shared: true, release: async () => {} };
+  }
+
+  owner ??= newLockOwner();
+  const now = new Date();
+  let previous;
+  try {
+    previous = await locks.findOneAndUpdate(
+      { _id: LOCK_ID, expires_at: { $lt: now } },
+      {
+        $set: {
+          owner,
+          job,
+          host: os.hostname(),
+          pid: process.pid,
+          acquired_at: now,
+          heartbeat_at: now,
+          expires_at: new Date(now.getTime() + LOCK_TTL_MS),
+        },
+      },
+      { upsert: true, returnDocument: 'before' }
+    );
+  } catch (err) {
+    // The upsert collides with a live lock held by someone else
+    if (err.code === 11000) return null;
+    throw err;
+  }
+  if (previous) {
+    console.log(`🔓 Took over the expired lock of ${previous.job} on ${previous.host} (pid ${previous.pid})`);
+  }
+
+  const heartbeat = setInterval(async () => {
+    try {
+      const beat = new Date();
+      const { matchedCount } = await locks.updateOne(
+        { _id: LOCK_ID, owner },
+        { $set: { heartbeat_at: beat, expires_at: new Date(beat.getTime() + LOCK_TTL_MS) } }
+      );
+      if (matchedCount === 0) console.warn(`⚠️ Lost the run lock for ${job}, another run may have started`);
+    } catch (err) {
+      console.warn('⚠️ Lock heartbeat failed:', err.message || err);
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  return {
+    owner,
+    shared: false,
+    async release() {
+      clearInterval(heartbeat);
+      await locks.deleteOne({ _id: LOCK_ID, owner });
+    },
+  };
+}
+
+// Who holds the lock right now, or null
+async function getRunLock(db) {
+  return db.collection(LOCK_COLLECTION).findOne({ _id: LOCK_ID, expires_at: { $gte: new Date() } });
+}
+
+export { LOCK_COLLECTION, newLockOwner, acquireRunLock, getRunLock };
@@ -0,0 +1,60 @@
+import { nextRun } from './cron.js';
+import { executeJob } from './jobs.js';
+
+// How often due jobs are checked
+const TICK_MS = 30 * 1000;
+
+// ------------------------------------------------------------------
+// Start enabled jobs when their schedule comes due, until stop() is
+// called. As with cron, runs that fall due while the scheduler is down
+// are not made up. The run lock decides whether a due job can start;
+// when another run holds it, the job is recorded as skipped.
+// ------------------------------------------------------------------
+function startScheduler(db, jobs) {
+  const enabled = jobs.filter(job => job.enabled);
+  const nextRuns = new Map(enabled.map(job => [job.name, nextRun(job.cron)]));
+  const running = new Set();
+  const children = new Set();
+
+  for (const job of enabled) {
+    console.log(`🗓 ${job.name} (${job.cron.expression}) next runs ${nextRuns.get(job.name).toLocaleString()}`);
+  }
+
+  const tick = () => {
+    const now = new Date();
+    for (const job of enabled) {
+      const scheduledFor = nextRuns.get(job.name);
+      if (now < scheduledFor) continue;
+      nextRuns.set(job.name, nextRun(job.cron, now));
+
+      const run = executeJob(db, job, {
+        trigger: 'schedule',
+        scheduledFor,
+        onStart: child => {
+          children.add(child);
+          child.once('close', () => children.delete(child));
+        },
+      })
+        .then(entry => {
+          if (entry) console.log(`🗓 ${job.name} next runs ${nextRuns.get(job.name).toLocaleString()}`);
+        })
+        .catch(err => console.error(`❌ Scheduling ${job.name} failed:`, err.message || err))
+        .finally(() => running.delete(run));
+      running.add(run);
+    }
+  };
+  const timer = setInterval(tick, TICK_MS);
+
+  return {
+    nextRuns,
+
+    // Ask running jobs to stop and wait until they have recorded how they ended
+    async stop() {
+      clearInterval(timer);
+      for (const child of children) child.kill('SIGTERM');
+      await Promise.allSettled([...running]);
+    },
+  };
+}
+
+export { startScheduler };
@@ -0,0 +1,41 @@
+import 'dotenv/config';  // Load .env into process.env
+
+import { createApiServer } from './api/index.js';
+import { closeMongo } from './recommendations/index.js';
+
+// Longest we wait for requests in flight when stopping
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+async function main() {
+  const port = Number(process.env.API_PORT || 3000);
+  if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+    throw new Error(`API_PORT must be a port number, got "${process.env.API_PORT}"`);
+  }
+  const host = process.env.API_HOST || '127.0.0.1';
+
+  const api = createApiServer();
+  await api.listen(port, host);
+  console.log(`🌐 Recommendation API listening on http://${host}:${port}`);
+
+  let stopping = false;
+  const stop = async signal => {
+    if (stopping) return;
+    stopping = true;
+    console.log(`🛑 ${signal} received, finishing requests in flight`);
+    try {
+      await api.close({ timeoutMs: SHUTDOWN_TIMEOUT_MS });
+      await closeMongo();
+      console.log('📡 Recommendation API stopped');
+    } catch (err) {
+      console.error('❌ Error while stopping:', err);
+      process.exitCode = 1;
+    }
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+main().catch(err => {
+  console.error('❌ Recommendation API failed to start:', err);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+import { basename, dirname, join } from 'path';
+import { createPineconeStore } from './pineconeStore.js';
+import { createLocalStore } from './localStore.js';
+
+// ------------------------------------------------------------------
+// Every vector store exposes the Pinecone-shaped operations we use:
+//
+//   ensure(dimension)                       create or check the index
+//   upsert([{ id, values, metadata }])
+//   query({ id | vector, topK, filter, includeMetadata })  -> { matches }
+//   fetch(ids)                              -> { records: { [id]: record } }
+//   update({ id, values?, metadata? })
+//   deleteMany(ids)
+//   listPaginated({ limit, paginationToken }) -> { vectors, pagination }
+//   namespace(name)                         the operations above, scoped to
+//                                           one namespace (facet vectors)
+//
+// plus name, indexName, metric and writesPerMinute, the quota for upsert,
+// update and delete requests that the ingestion rate limiter keeps to.
+// ------------------------------------------------------------------
+
+// Pick the backend from VECTOR_STORE (default: pinecone). The index is
+// PINECONE_INDEX (or the VECTOR_STORE_PATH file) unless indexName names
+// another version of it, see ingestion/indexes.js.
+function createVectorStore(env = process.env, { indexName = null } = {}) {
+  const backend = env.VECTOR_STORE || 'pinecone';
+  switch (backend) {
+    case 'pinecone':
+      return createPineconeStore({
+        apiKey: env.PINECONE_API_KEY,
+        indexName: indexName || env.PINECONE_INDEX,
+        region: env.PINECONE_ENVIRONMENT,
+        metric: env.VECTOR_METRIC || 'cosine',
+        ...(env.VECTOR_STORE_WRITES_PER_MINUTE ? { writesPerMinute: Number(env.VECTOR_STORE_WRITES_PER_MINUTE) } : {}),
+      });
+
+    case 'local': {
+      // Other versions of a file-backed store are files next to it
+      const filePath = env.VECTOR_STORE_PATH;
+      const baseName = filePath ? basename(filePath, '.json') : 'local';
+      if (!indexName || indexName === baseName) return createLocalStore({ filePath, indexName: baseName });
+      return createLocalStore({ filePath: filePath && join(dirname(filePath), `${indexName}.json`), indexName });
+    }
+
+    default:
+      throw new Error(`Unknown vector store: ${backend}`);
+  }
+}
+
+export { createVectorStore, createPineconeStore, createLocalStore };
@@ -0,0 +1,168 @@
+import { readFile, writeFile, rename } from 'fs/promises';
+import { matchesFilter } from './metadataFilter.js';
+
+// In-memory vector store with brute-force cosine search, optionally
+// persisted to a JSON file so ingestion and recommendations can share it
+function createLocalStore({ filePath, indexName = 'local' } = {}) {
+  // Namespace name -> Map of vectors; '' is the default namespace
+  let namespaces = null;
+  let dimension = null;
+  let loading = null;
+
+  // Concurrent first calls share one read, so none of them sees an empty store
+  function load() {
+    loading ??= readStore().catch(err => {
+      loading = null;
+      throw err;
+    });
+    return loading;
+  }
+
+  async function readStore() {
+    const loaded = new Map([['', new Map()]]);
+    if (filePath) {
+      try {
+        const data = JSON.parse(await readFile(filePath, 'utf8'));
+        dimension = data.dimension ?? null;
+        const stored = { '': data.vectors, ...data.namespaces };
+        for (const [name, records] of Object.entries(stored)) {
+          loaded.set(name, new Map((records || []).map(([id, values, metadata]) => [id, { id, values, metadata }])));
+        }
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+    namespaces = loaded;
+    return namespaces;
+  }
+
+  async function loadNamespace(name) {
+    await load();
+    if (!namespaces.has(name)) namespaces.set(name, new Map());
+    return namespaces.get(name);
+  }
+
+  // Write to a temp file first so a crash never leaves a half-written store.
+  // Saves are queued because concurrent batches would share the temp file.
+  let saving = Promise.resolve();
+  function save() {
+    if (!filePath) return Promise.resolve();
+    saving = saving.catch(() => {}).then(async () => {
+      const serialize = vectors => [...vectors.values()].map(v => [v.id, v.values, v.metadata]);
+      const data = {
+        dimension,
+        vectors: serialize(namespaces.get('')),
+        namespaces: Object.fromEntries([...namespaces]
+          .filter(([name]) => name !== '')
+          .map(([name, vectors]) => [name, serialize(vectors)])),
+      };
+      await writeFile(`${filePath}.tmp`, JSON.stringify(data));
+      await rename(`${filePath}.tmp`, filePath);
+    });
+    return saving;
+  }
+
+  function operations(namespace) {
+    return {
+      async upsert(records) {
+        const vectors = await loadNamespace(namespace);
+        for (const { id, values, metadata } of records) {
+          if (dimension !== null && values.length !== dimension) {
+            throw new Error(`Vector ${id} has dimension ${values.length}, expected ${dimension}`);
+          }
+          vectors.set(id, { id, values, metadata: metadata || {} });
+        }
+        await save();
+      },
+
+      async query({ id, vector, topK = 10, filter, includeMetadata = false, includeValues = false }) {
+        const vectors = await loadNamespace(namespace);
+        const queryValues = id !== undefined ? vectors.get(id)?.values : vector;
+        if (!queryValues) return { matches: [] };
+
+        const matches = [];
+        for (const record of vectors.values()) {
+          if (!matchesFilter(record.metadata, filter)) continue;
+          matches.push({
+            id: record.id,
+            score: cosine(queryValues, record.values),
+            ...(includeValues ? { values: record.values } : {}),
+            ...(includeMetadata ? { metadata: record.metadata } : {}),
+          });
+        }
+
+        matches.sort((a, b) => b.score - a.score);
+        return { matches: matches.slice(0, topK) };
+      },
+
+      async fetch(ids) {
+        const vectors = await loadNamespace(namespace);
+        const records = {};
+        for (const id of ids) {
+          if (vectors.has(id)) records[id] = vectors.get(id);
+        }
+        return { records };
+      },
+
+      async update({ id, values, metadata }) {
+        const vectors = await loadNamespace(namespace);
+        const record = vectors.get(id);
+        if (!record) throw new Error(`Vector ${id} not found`);
+        if (values) record.values = values;
+        if (metadata) record.metadata = { ...record.metadata, ...metadata };
+        await save();
+      },
+
+      async deleteMany(ids) {
+        const vectors = await loadNamespace(namespace);
+        for (const id of ids) vectors.delete(id);
+        await save();
+      },
+
+      // Same paging contract as Pinecone: the token is the offset of the next page
+      async listPaginated({ limit = 100, paginationToken } = {}) {
+        const vectors = await loadNamespace(namespace);
+        const start = paginationToken ? Number(paginationToken) : 0;
+        const ids = [...vectors.keys()].slice(start, start + limit);
+        const next = start + limit < vectors.size ? String(start + limit) : undefined;
+        return { vectors: ids.map(id => ({ id })), pagination: next ? { next } : undefined };
+      },
+    };
+  }
+
+  return {
+    name: 'local',
+    indexName,
+    metric: 'cosine',
+    writesPerMinute: Infinity,
+
+    async ensure(expectedDimension) {
+      await load();
+      if (dimension !== null && dimension !== expectedDimension) {
+        throw new Error(`Local vector store ${filePath} has dimension ${dimension}, ` +
+          `but the embedding provider produces ${expectedDimension}`);
+      }
+      dimension = expectedDimension;
+      console.log(`🗄 Local vector store ready${filePath ? `: ${filePath}` : ''} (${namespaces.get('').size} vectors)`);
+    },
+
+    ...operations(''),
+
+    // The same operations on one namespace
+    namespace: name => ({ name: 'local', writesPerMinute: Infinity, ...operations(name) }),
+  };
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+export { createLocalStore };
@@ -0,0 +1,37 @@
+// Evaluate a Pinecone-style metadata filter against one metadata object.
+// Supports $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $and and $or.
+// As in Pinecone, a list field matches when any of its values matches.
+function matchesFilter(metadata = {}, filter) {
+  if (!filter) return true;
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => matchesFilter(metadata, sub));
+    if (key === '$or') return condition.some(sub => matchesFilter(metadata, sub));
+
+    const value = metadata[key];
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return matchesOperator(value, '$eq', condition);
+    }
+    return Object.entries(condition).every(([op, arg]) => matchesOperator(value, op, arg));
+  });
+}
+
+function matchesOperator(value, op, arg) {
+  if (op === '$exists') return (value !== undefined) === arg;
+  if (op === '$ne') return !matchesOperator(value, '$eq', arg);
+  if (op === '$nin') return !matchesOperator(value, '$in', arg);
+  if (value === undefined) return false;
+
+  const values = Array.isArray(value) ? value : [value];
+  switch (op) {
+    case '$eq': return values.some(v => v === arg);
+    case '$in': return values.some(v => arg.includes(v));
+    case '$gt': return values.some(v => v > arg);
+    case '$gte': return values.some(v => v >= arg);
+    case '$lt': return values.some(v => v < arg);
+    case '$lte': return values.some(v => v <= arg);
+    default: throw new Error(`Unsupported filter operator: ${op}`);
+  }
+}
+
+export { matchesFilter };
@@ -0,0 +1,77 @@
+import { Pinecone } from '@pinecone-database/pinecone';
+
+// Thin wrapper around one Pinecone index
+// Pinecone serverless allows 100 upsert, update or delete requests per second per index
+function createPineconeStore({ apiKey, indexName, cloud = 'aws', region, metric = 'cosine', writesPerMinute = 6000 }) {
+  let client;
+  let index;
+  const getIndex = () => {
+    client ??= new Pinecone({ apiKey });
+    index ??= client.index(indexName);
+    return index;
+  };
+
+  return {
+    name: 'pinecone',
+    indexName,
+    metric,
+    writesPerMinute,
+
+    // Create the index if it doesn't exist yet and check its dimension
+    async ensure(dimension) {
+      client ??= new Pinecone({ apiKey });
+      console.log(`🗄 Checking Pinecone index: ${indexName}`);
+
+      const indexes = await client.listIndexes();
+      console.log('Indexes:', JSON.stringify(indexes, null, 2));
+
+      const existing = indexes.indexes?.find(index => index.name === indexName);
+      if (!existing) {
+        console.log(`🚀 Creating Pinecone index: ${indexName}`);
+        await client.createIndex({
+          name: indexName,
+          dimension,
+          metric,
+          spec: {
+            serverless: {
+              cloud,
+              region
+            }
+          }
+        });
+        console.log('✅ Pinecone index created');
+      } else {
+        console.log('ℹ️ Pinecone index already exists');
+        if (existing.dimension && existing.dimension !== dimension) {
+          throw new Error(`Pinecone index ${indexName} has dimension ${existing.dimension}, ` +
+            `but the embedding provider produces ${dimension}`);
+        }
+        if (existing.metric && existing.metric !== metric) {
+          throw new Error(`Pinecone index ${indexName} uses the ${existing.metric} metric, not ${metric}`);
+        }
+      }
+    },
+
+    ...operations(getIndex),
+
+    // The same operations on one namespace of the index
+    namespace: name => ({
+      name: 'pinecone',
+      writesPerMinute,
+      ...operations(() => getIndex().namespace(name)),
+    }),
+  };
+}
+
+function operations(target) {
+  return {
+    upsert: vectors => target().upsert(vectors),
+    query: options => target().query(options),
+    fetch: ids => target().fetch(ids),
+    update: options => target().update(options),
+    deleteMany: ids => target().deleteMany(ids),
+    listPaginated: options => target().listPaginated(options),
+  };
+}
+
+export { createPineconeStore };